@@ -1,11 +1,24 @@
-// StorageManager wraps localStorage with JSON serialisation, namespacing and
-// lightweight publish/subscribe capabilities so UI components can react to
-// state changes and persist data consistently.
+// Released version of the tracker, recorded in exports. Bump it together with
+// the "Versioning" section of the README.
+const APP_VERSION = '1.10.0';
+
+// StorageManager wraps localStorage with JSON serialisation, namespacing,
+// schema migrations and lightweight publish/subscribe capabilities so UI
+// components can react to state changes and persist data consistently.
 const StorageManager = (() => {
-  const prefix = 'arc-raiders-tracker';
+  const ROOT_PREFIX = 'arc-raiders-tracker';
+  const SCHEMA_KEY = 'schema:version';
+  const STAGING_NAMESPACE = '__staging';
   const subscribers = new Map();
   const timers = new Map();
+  const pending = new Map();
+  const migrations = new Map();
   const defaultDelay = 180;
+  let prefix = ROOT_PREFIX;
+
+  // The default namespace keeps the original prefix so existing saves load
+  // unchanged; any other namespace (e.g. a player profile) gets its own.
+  const toPrefix = (namespace) => (namespace ? `${ROOT_PREFIX}@${namespace}` : ROOT_PREFIX);
 
   const buildKey = (key) => `${prefix}:${key}`;
 
@@ -16,6 +29,8 @@ const StorageManager = (() => {
   };
 
   const get = (key, fallback = null) => {
+    // Debounced writes are visible to readers before they reach localStorage.
+    if (pending.has(key)) return pending.get(key);
     try {
       const raw = localStorage.getItem(buildKey(key));
       return raw ? JSON.parse(raw) : fallback;
@@ -35,13 +50,19 @@ const StorageManager = (() => {
   };
 
   const set = (key, value, { debounce = defaultDelay } = {}) => {
+    if (timers.has(key)) {
+      clearTimeout(timers.get(key));
+      timers.delete(key);
+      pending.delete(key);
+    }
     if (debounce) {
-      if (timers.has(key)) clearTimeout(timers.get(key));
+      pending.set(key, value);
       timers.set(
         key,
         setTimeout(() => {
           commit(key, value);
           timers.delete(key);
+          pending.delete(key);
         }, debounce)
       );
     } else {
@@ -49,6 +70,15 @@ const StorageManager = (() => {
     }
   };
 
+  // Writes any debounced values immediately, e.g. before switching namespace.
+  const flush = () => {
+    timers.forEach((timer) => clearTimeout(timer));
+    timers.clear();
+    const entries = Array.from(pending.entries());
+    pending.clear();
+    entries.forEach(([key, value]) => commit(key, value));
+  };
+
   const subscribe = (key, handler) => {
     const list = subscribers.get(key) ?? [];
     list.push(handler);
@@ -63,14 +93,16 @@ const StorageManager = (() => {
     };
   };
 
+  const listKeys = (namespacePrefix = prefix) =>
+    Object.keys(localStorage).filter((key) => key.startsWith(`${namespacePrefix}:`));
+
   const snapshot = () => {
+    flush();
     const data = {};
-    Object.keys(localStorage)
-      .filter((key) => key.startsWith(prefix))
-      .forEach((key) => {
-        const shortKey = key.replace(`${prefix}:`, '');
-        data[shortKey] = JSON.parse(localStorage.getItem(key));
-      });
+    listKeys().forEach((key) => {
+      const shortKey = key.replace(`${prefix}:`, '');
+      data[shortKey] = JSON.parse(localStorage.getItem(key));
+    });
     return data;
   };
 
@@ -78,7 +110,238 @@ const StorageManager = (() => {
     Object.entries(data).forEach(([key, value]) => commit(key, value));
   };
 
-  return { get, set, subscribe, snapshot, hydrate };
+  const remove = (key) => {
+    if (timers.has(key)) {
+      clearTimeout(timers.get(key));
+      timers.delete(key);
+      pending.delete(key);
+    }
+    localStorage.removeItem(buildKey(key));
+    notify(key, null);
+  };
+
+  const keys = () => listKeys().map((key) => key.replace(`${prefix}:`, ''));
+
+  // Saves without a version marker predate the schema and count as version 1.
+  const getStoredVersion = () => Number(get(SCHEMA_KEY, 1)) || 1;
+
+  const getSchemaVersion = () => Math.max(1, ...migrations.keys());
+
+  // Migrations upgrade the active namespace from version - 1 to version.
+  const registerMigration = (version, description, migrate) => {
+    migrations.set(version, { version, description, migrate });
+  };
+
+  // Runs every pending migration in order and stamps the namespace with the
+  // latest schema version. A failing migration stops the chain so it can be
+  // retried on the next load instead of skipping ahead.
+  const migrate = () => {
+    flush();
+    const applied = [];
+    let current = getStoredVersion();
+    Array.from(migrations.values())
+      .sort((a, b) => a.version - b.version)
+      .filter((migration) => migration.version > current)
+      .every((migration) => {
+        try {
+          migration.migrate();
+          current = migration.version;
+          commit(SCHEMA_KEY, current);
+          applied.push(migration.description);
+          return true;
+        } catch (error) {
+          console.error(`Storage migration ${migration.version} failed`, error);
+          return false;
+        }
+      });
+    if (current >= getSchemaVersion() && get(SCHEMA_KEY, null) !== current) commit(SCHEMA_KEY, current);
+    return applied;
+  };
+
+  // Loads plain data into a throwaway namespace and runs fn against it, so
+  // storage-backed helpers can be evaluated for data that is not the profile's.
+  const withSnapshot = (data, fn) => {
+    const previous = prefix;
+    flush();
+    prefix = toPrefix(STAGING_NAMESPACE);
+    listKeys().forEach((key) => localStorage.removeItem(key));
+    try {
+      Object.entries(data).forEach(([key, value]) => localStorage.setItem(buildKey(key), JSON.stringify(value)));
+      return fn();
+    } finally {
+      flush();
+      listKeys().forEach((key) => localStorage.removeItem(key));
+      prefix = previous;
+    }
+  };
+
+  // Upgrades a standalone snapshot (e.g. an imported file) by running the
+  // migrations inside a throwaway namespace, leaving the active one untouched.
+  const migrateSnapshot = (data = {}) =>
+    withSnapshot(data, () => {
+      migrate();
+      return snapshot();
+    });
+
+  const useNamespace = (namespace) => {
+    flush();
+    prefix = toPrefix(namespace);
+  };
+
+  // Runs fn against another namespace, then restores the current one.
+  const withNamespace = (namespace, fn) => {
+    const previous = prefix;
+    flush();
+    prefix = toPrefix(namespace);
+    try {
+      return fn();
+    } finally {
+      flush();
+      prefix = previous;
+    }
+  };
+
+  const clearNamespace = (namespace) => {
+    const target = toPrefix(namespace);
+    if (target === prefix) flush();
+    listKeys(target).forEach((key) => localStorage.removeItem(key));
+  };
+
+  // Shared values live outside every namespace (e.g. the profile registry).
+  const getShared = (key, fallback = null) => {
+    try {
+      const raw = localStorage.getItem(`${ROOT_PREFIX}-${key}`);
+      return raw ? JSON.parse(raw) : fallback;
+    } catch (error) {
+      console.warn('Storage read error', error);
+      return fallback;
+    }
+  };
+
+  const setShared = (key, value) => {
+    try {
+      localStorage.setItem(`${ROOT_PREFIX}-${key}`, JSON.stringify(value));
+    } catch (error) {
+      console.warn('Storage write error', error);
+    }
+  };
+
+  return {
+    get,
+    set,
+    flush,
+    subscribe,
+    remove,
+    keys,
+    snapshot,
+    hydrate,
+    registerMigration,
+    migrate,
+    migrateSnapshot,
+    withSnapshot,
+    getSchemaVersion,
+    SCHEMA_KEY,
+    useNamespace,
+    withNamespace,
+    clearNamespace,
+    getShared,
+    setShared
+  };
+})();
+
+// ProfileManager keeps a registry of named player profiles and points
+// StorageManager at the active profile's namespace.
+const ProfileManager = (() => {
+  const REGISTRY_KEY = 'profiles';
+  const DEFAULT_PROFILE = { id: 'default', name: 'Default' };
+  const listeners = new Set();
+
+  const readRegistry = () => {
+    const registry = StorageManager.getShared(REGISTRY_KEY, null);
+    const profiles =
+      Array.isArray(registry?.profiles) && registry.profiles.length ? registry.profiles : [DEFAULT_PROFILE];
+    const active = profiles.some((profile) => profile.id === registry?.active)
+      ? registry.active
+      : profiles[0].id;
+    return { active, profiles };
+  };
+
+  // The default profile maps onto the original un-suffixed storage prefix.
+  const toNamespace = (id) => (id === DEFAULT_PROFILE.id ? null : id);
+
+  let registry = readRegistry();
+  // Select the namespace immediately so modules reading storage while they are
+  // created already see the active profile.
+  StorageManager.useNamespace(toNamespace(registry.active));
+
+  const save = () => StorageManager.setShared(REGISTRY_KEY, registry);
+
+  const createId = (name) =>
+    `${Utils.formatKey(name).replace(/[^a-z0-9-]/g, '') || 'profile'}-${Date.now().toString(36)}`;
+
+  const list = () => registry.profiles.map((profile) => ({ ...profile }));
+
+  const getActive = () => registry.profiles.find((profile) => profile.id === registry.active);
+
+  const onChange = (handler) => {
+    listeners.add(handler);
+    return () => listeners.delete(handler);
+  };
+
+  const emit = () => listeners.forEach((handler) => handler(getActive()));
+
+  // Re-selects the active profile's storage after a temporary namespace.
+  const useActiveNamespace = () => StorageManager.useNamespace(toNamespace(registry.active));
+
+  const activate = (id) => {
+    if (!registry.profiles.some((profile) => profile.id === id)) return;
+    registry.active = id;
+    save();
+    StorageManager.useNamespace(toNamespace(id));
+    emit();
+  };
+
+  const create = (name) => {
+    const profile = { id: createId(name), name: name.trim() || 'New profile' };
+    registry.profiles.push(profile);
+    save();
+    return profile;
+  };
+
+  const rename = (id, name) => {
+    const profile = registry.profiles.find((entry) => entry.id === id);
+    if (!profile || !name.trim()) return;
+    profile.name = name.trim();
+    save();
+    emit();
+  };
+
+  // Reads another profile's saved data without switching to it.
+  const readSnapshot = (id) => StorageManager.withNamespace(toNamespace(id), StorageManager.snapshot);
+
+  const duplicate = (id) => {
+    const source = registry.profiles.find((entry) => entry.id === id);
+    if (!source) return null;
+    const data = readSnapshot(source.id);
+    const copy = create(`${source.name} (copy)`);
+    StorageManager.withNamespace(toNamespace(copy.id), () => StorageManager.hydrate(data));
+    return copy;
+  };
+
+  const remove = (id) => {
+    if (registry.profiles.length <= 1) return false;
+    StorageManager.clearNamespace(toNamespace(id));
+    registry.profiles = registry.profiles.filter((entry) => entry.id !== id);
+    save();
+    if (registry.active === id) {
+      activate(registry.profiles[0].id);
+    } else {
+      emit();
+    }
+    return true;
+  };
+
+  return { list, getActive, activate, useActiveNamespace, readSnapshot, create, rename, duplicate, remove, onChange };
 })();
 
 // DataRepository centralises the static content that powers the SPA. Keeping
@@ -276,6 +539,58 @@ const DataRepository = (() => {
     }
   };
 
+  // Stable storage identifiers for materials. Saved progress is keyed by these
+  // ids, so a renamed material keeps its id and only its display name changes.
+  const materialIds = {
+    'Advanced Electrical Components': 'advanced-electrical-components',
+    Antiseptic: 'antiseptic',
+    Apricot: 'apricot',
+    'ARC Alloy': 'arc-alloy',
+    'ARC Circuitry': 'arc-circuitry',
+    'ARC Motion Core': 'arc-motion-core',
+    'ARC Powercell': 'arc-powercell',
+    'Bastion Cell': 'bastion-cell',
+    'Bombardier Cell': 'bombardier-cell',
+    'Cat Bed': 'cat-bed',
+    Chemicals: 'chemicals',
+    'Cracked Bioscanner': 'cracked-bioscanner',
+    'Crude Explosives': 'crude-explosives',
+    'Damaged Heat Sink': 'damaged-heat-sink',
+    'Dog Collar': 'dog-collar',
+    'Durable Cloth': 'durable-cloth',
+    'Early Quest Reward': 'early-quest-reward',
+    'Electrical Components': 'electrical-components',
+    'Explosive Compound': 'explosive-compound',
+    Fabric: 'fabric',
+    'Fireball Burner': 'fireball-burner',
+    'Fried Motherboard': 'fried-motherboard',
+    'Hornet Driver': 'hornet-driver',
+    'Industrial Battery': 'industrial-battery',
+    'Laboratory Reagents': 'laboratory-reagents',
+    'Leaper Pulse Unit': 'leaper-pulse-unit',
+    Lemon: 'lemon',
+    'Mechanical Components': 'mechanical-components',
+    'Metal Parts': 'metal-parts',
+    Motor: 'motor',
+    Mushrooms: 'mushrooms',
+    Olives: 'olives',
+    'Plastic Parts': 'plastic-parts',
+    'Pop Trigger': 'pop-trigger',
+    'Power Cable': 'power-cable',
+    'Prickly Pear': 'prickly-pear',
+    'Rocketeer Driver': 'rocketeer-driver',
+    'Rubber Parts': 'rubber-parts',
+    'Rusted Shut Medical Kit': 'rusted-shut-medical-kit',
+    'Rusted Tools': 'rusted-tools',
+    'Snitch Scanner': 'snitch-scanner',
+    'Surveyor Vault': 'surveyor-vault',
+    'Synthesized Fuel': 'synthesized-fuel',
+    'Tick Pod': 'tick-pod',
+    Toaster: 'toaster',
+    'Very Comfortable Pillow': 'very-comfortable-pillow',
+    'Wasp Driver': 'wasp-driver'
+  };
+
   const mapVisuals = {
     'Dam Battlegrounds': {
       url: 'https://arcraiders.wiki/wiki/Special:FilePath/Dam_Battlegrounds.png',
@@ -994,12 +1309,12 @@ const DataRepository = (() => {
     name: 'Picking Up The Pieces',
     trader: 'Shani',
     objectives: [
-      'Visit any area on your map with a loot category icon',
-      'Loot 3 containers'
+      { id: 'visit-area-map-loot', text: 'Visit any area on your map with a loot category icon', type: 'visit' },
+      { id: 'loot-containers', text: 'Loot 3 containers', type: 'loot', count: 3 }
     ],
     rewards: [
-      '1x Rattler III',
-      '80x Medium Ammo'
+      { item: 'Rattler III', quantity: 1 },
+      { item: 'Medium Ammo', quantity: 80 }
     ],
     maps: [
       'Dam Battlegrounds',
@@ -1012,14 +1327,15 @@ const DataRepository = (() => {
     id: 'clearer-skies',
     name: 'Clearer Skies',
     trader: 'Shani',
+    requires: ['picking-up-the-pieces'],
     objectives: [
-      'Destroy 3 ARC enemies',
-      'Get 3 ARC Alloy for Shani'
+      { id: 'destroy-arc-enemies', text: 'Destroy 3 ARC enemies', type: 'kill', count: 3 },
+      { id: 'get-arc-alloy-shani', text: 'Get 3 ARC Alloy for Shani', type: 'deliver', count: 3, item: 'ARC Alloy' }
     ],
     rewards: [
-      '3x Sterilized Bandage',
-      '1x Light Shield',
-      'Black Backpack Cosmetic (Hiker Color)'
+      { item: 'Sterilized Bandage', quantity: 3 },
+      { item: 'Light Shield', quantity: 1 },
+      { item: 'Black Backpack Cosmetic (Hiker Color)', quantity: 1, type: 'cosmetic' }
     ],
     maps: [
       'Dam Battlegrounds',
@@ -1032,13 +1348,14 @@ const DataRepository = (() => {
     id: 'trash-into-treasure',
     name: 'Trash Into Treasure',
     trader: 'Shani',
+    requires: ['clearer-skies'],
     objectives: [
-      'Obtain 6 Wires',
-      'Obtain 1 Battery'
+      { id: 'obtain-wires', text: 'Obtain 6 Wires', type: 'deliver', count: 6, item: 'Wires' },
+      { id: 'obtain-battery', text: 'Obtain 1 Battery', type: 'deliver', item: 'Battery' }
     ],
     rewards: [
-      '1x Tactical MK.1',
-      '3x Adrenaline Shot'
+      { item: 'Tactical MK.1', quantity: 1 },
+      { item: 'Adrenaline Shot', quantity: 3 }
     ],
     maps: [
       'Dam Battlegrounds',
@@ -1051,12 +1368,13 @@ const DataRepository = (() => {
     id: 'off-the-radar',
     name: 'Off The Radar',
     trader: 'Shani',
+    requires: ['trash-into-treasure'],
     objectives: [
-      'Visit a field depot',
-      'Repair the antenna on the roof of Field Depot'
+      { id: 'visit-field-depot', text: 'Visit a field depot', type: 'visit' },
+      { id: 'repair-antenna-roof-field', text: 'Repair the antenna on the roof of Field Depot', type: 'interact' }
     ],
     rewards: [
-      '2x Defibrillator'
+      { item: 'Defibrillator', quantity: 2 }
     ],
     maps: [
       'Dam Battlegrounds',
@@ -1069,13 +1387,14 @@ const DataRepository = (() => {
     id: 'a-bad-feeling',
     name: 'A Bad Feeling',
     trader: 'Celeste',
+    requires: ['off-the-radar'],
     objectives: [
-      'Find and search any ARC Probe or ARC Courier'
+      { id: 'find-search-arc-probe', text: 'Find and search any ARC Probe or ARC Courier', type: 'loot' }
     ],
     rewards: [
-      '10x Metal parts',
-      '5x Steel Spring',
-      '5x Duct Tape'
+      { item: 'Metal Parts', quantity: 10 },
+      { item: 'Steel Spring', quantity: 5 },
+      { item: 'Duct Tape', quantity: 5 }
     ],
     maps: [
       'Dam Battlegrounds',
@@ -1088,15 +1407,16 @@ const DataRepository = (() => {
     id: 'the-right-tool',
     name: 'The Right Tool',
     trader: 'Tian Wen',
+    requires: ['a-bad-feeling'],
     objectives: [
-      'Destroy a Fireball',
-      'Destroy a Hornet',
-      'Destroy a Turret'
+      { id: 'destroy-fireball', text: 'Destroy a Fireball', type: 'kill' },
+      { id: 'destroy-hornet', text: 'Destroy a Hornet', type: 'kill' },
+      { id: 'destroy-turret', text: 'Destroy a Turret', type: 'kill' }
     ],
     rewards: [
-      'Cheer Emote',
-      '1x Stitcher II',
-      '1x Extended Light Mag I'
+      { item: 'Cheer Emote', quantity: 1, type: 'cosmetic' },
+      { item: 'Stitcher II', quantity: 1 },
+      { item: 'Extended Light Mag I', quantity: 1 }
     ],
     maps: [
       'Dam Battlegrounds',
@@ -1109,13 +1429,14 @@ const DataRepository = (() => {
     id: 'hatch-repairs',
     name: 'Hatch Repairs',
     trader: 'Shani',
+    requires: ['off-the-radar'],
     objectives: [
-      'Repair the leaking hydraulic pipes near a Raider Hatch',
-      'Search for a hatch key near the Raider hatch'
+      { id: 'repair-leaking-hydraulic-pipes', text: 'Repair the leaking hydraulic pipes near a Raider Hatch', type: 'interact' },
+      { id: 'search-hatch-key-raider', text: 'Search for a hatch key near the Raider hatch', type: 'loot' }
     ],
     rewards: [
-      '1x Raider Hatch Key',
-      '1x Binoculars'
+      { item: 'Raider Hatch Key', quantity: 1 },
+      { item: 'Binoculars', quantity: 1 }
     ],
     maps: [
       'Dam Battlegrounds',
@@ -1128,13 +1449,14 @@ const DataRepository = (() => {
     id: 'safe-passage',
     name: 'Safe Passage',
     trader: 'Apollo',
+    requires: ['hatch-repairs'],
     objectives: [
-      'Destroy 2 ARC enemies using any explosive grenade'
+      { id: 'destroy-arc-enemies-using', text: 'Destroy 2 ARC enemies using any explosive grenade', type: 'kill', count: 2 }
     ],
     rewards: [
-      "5x Li'l Smoke Grenade",
-      '3x Shrapnel Grenade',
-      '3x Barricade Kit'
+      { item: "Li'l Smoke Grenade", quantity: 5 },
+      { item: 'Shrapnel Grenade', quantity: 3 },
+      { item: 'Barricade Kit', quantity: 3 }
     ],
     maps: [
       'Dam Battlegrounds',
@@ -1147,14 +1469,15 @@ const DataRepository = (() => {
     id: 'down-to-earth',
     name: 'Down To Earth',
     trader: 'Shani',
+    requires: ['hatch-repairs'],
     objectives: [
-      'Visit a Field Depot',
-      'Deliver a Field Crate to a Supply Station',
-      'Collect the reward'
+      { id: 'visit-field-depot', text: 'Visit a Field Depot', type: 'visit' },
+      { id: 'deliver-field-crate-supply', text: 'Deliver a Field Crate to a Supply Station', type: 'deliver' },
+      { id: 'collect-reward', text: 'Collect the reward', type: 'interact' }
     ],
     rewards: [
-      '1x Combat MK.1',
-      '1x Medium Shield'
+      { item: 'Combat MK.1', quantity: 1 },
+      { item: 'Medium Shield', quantity: 1 }
     ],
     maps: [
       'Dam Battlegrounds',
@@ -1167,18 +1490,19 @@ const DataRepository = (() => {
     id: 'the-trifecta',
     name: 'The Trifecta',
     trader: 'Shani',
+    requires: ['down-to-earth'],
     objectives: [
-      'Destroy a Hornet',
-      'Get a Hornet Driver for Shani',
-      'Destroy a Snitch',
-      'Get a Snitch Scanner for Shani',
-      'Destroy a Wasp',
-      'Get a Wasp Driver for Shani'
+      { id: 'destroy-hornet', text: 'Destroy a Hornet', type: 'kill' },
+      { id: 'get-hornet-driver-shani', text: 'Get a Hornet Driver for Shani', type: 'deliver', item: 'Hornet Driver' },
+      { id: 'destroy-snitch', text: 'Destroy a Snitch', type: 'kill' },
+      { id: 'get-snitch-scanner-shani', text: 'Get a Snitch Scanner for Shani', type: 'deliver', item: 'Snitch Scanner' },
+      { id: 'destroy-wasp', text: 'Destroy a Wasp', type: 'kill' },
+      { id: 'get-wasp-driver-shani', text: 'Get a Wasp Driver for Shani', type: 'deliver', item: 'Wasp Driver' }
     ],
     rewards: [
-      '1x Dam Control Tower Key',
-      '2x Defibrillator',
-      '1x Raider Hatch Key'
+      { item: 'Dam Control Tower Key', quantity: 1 },
+      { item: 'Defibrillator', quantity: 2 },
+      { item: 'Raider Hatch Key', quantity: 1 }
     ],
     maps: [
       'Dam Battlegrounds',
@@ -1191,14 +1515,15 @@ const DataRepository = (() => {
     id: 'a-better-use',
     name: 'A Better Use',
     trader: 'Tian Wen',
+    requires: ['the-right-tool'],
     objectives: [
-      'Request in a Supply Drop from a Call Station',
-      'Loot a Supply Drop'
+      { id: 'request-supply-drop-call', text: 'Request in a Supply Drop from a Call Station', type: 'interact' },
+      { id: 'loot-supply-drop', text: 'Loot a Supply Drop', type: 'loot' }
     ],
     rewards: [
-      '1x Extended Light Mag I',
-      '1x Stable Stock I',
-      '1x Muzzle Brake II'
+      { item: 'Extended Light Mag I', quantity: 1 },
+      { item: 'Stable Stock I', quantity: 1 },
+      { item: 'Muzzle Brake II', quantity: 1 }
     ],
     maps: [
       'Dam Battlegrounds',
@@ -1212,13 +1537,14 @@ const DataRepository = (() => {
     id: 'what-goes-around',
     name: 'What Goes Around',
     trader: 'Apollo',
+    requires: ['safe-passage'],
     objectives: [
-      'Destroy any ARC enemy using a Fireball Burner'
+      { id: 'destroy-arc-enemy-using', text: 'Destroy any ARC enemy using a Fireball Burner', type: 'kill' }
     ],
     rewards: [
-      '3x Blaze Grenade',
-      '2x Noisemaker',
-      'Cans Backpack Attachment (Cosmetic)'
+      { item: 'Blaze Grenade', quantity: 3 },
+      { item: 'Noisemaker', quantity: 2 },
+      { item: 'Cans Backpack Attachment (Cosmetic)', quantity: 1, type: 'cosmetic' }
     ],
     maps: [
       'Dam Battlegrounds',
@@ -1232,13 +1558,14 @@ const DataRepository = (() => {
     id: 'sparks-fly',
     name: 'Sparks Fly',
     trader: 'Apollo',
+    requires: ['what-goes-around'],
     objectives: [
-      "Destroy a Hornet with a Trigger 'Nade or Snap Blast"
+      { id: 'destroy-hornet-trigger-nade', text: "Destroy a Hornet with a Trigger 'Nade or Snap Blast", type: 'kill' }
     ],
     rewards: [
-      '1x Trigger Nade Blueprint',
-      '4x Crude Explosives',
-      '2x Processor'
+      { item: 'Trigger Nade Blueprint', quantity: 1 },
+      { item: 'Crude Explosives', quantity: 4 },
+      { item: 'Processor', quantity: 2 }
     ],
     maps: [
       'Dam Battlegrounds',
@@ -1252,15 +1579,16 @@ const DataRepository = (() => {
     id: 'greasing-her-palms',
     name: 'Greasing Her Palms',
     trader: 'Celeste',
+    requires: ['a-bad-feeling'],
     objectives: [
-      'On Dam Battlegrounds, visit the Locked Room in the Water Treatment Control building',
-      'On Spaceport, scope out the rocket thrusters outside the Rocket Assembly',
-      'On Buried City, visit the barricaded area on floor 6 of the Space Travel Building'
+      { id: 'dam-battlegrounds-visit-locked', text: 'On Dam Battlegrounds, visit the Locked Room in the Water Treatment Control building', type: 'visit' },
+      { id: 'spaceport-scope-out-rocket', text: 'On Spaceport, scope out the rocket thrusters outside the Rocket Assembly', type: 'visit' },
+      { id: 'buried-city-visit-barricaded', text: 'On Buried City, visit the barricaded area on floor 6 of the Space Travel Building', type: 'visit' }
     ],
     rewards: [
-      '1x Lure Grenade Blueprint',
-      '3x Speaker Component',
-      '3x Electrical Components'
+      { item: 'Lure Grenade Blueprint', quantity: 1 },
+      { item: 'Speaker Component', quantity: 3 },
+      { item: 'Electrical Components', quantity: 3 }
     ],
     maps: [
       'Dam Battlegrounds',
@@ -1273,16 +1601,17 @@ const DataRepository = (() => {
     id: 'a-first-foothold',
     name: 'A First Foothold',
     trader: 'Apollo',
+    requires: ['sparks-fly'],
     objectives: [
-      'Stabilize the observation deck near the Ridgeline',
-      'Enable the comms terminal near the Olive Grove',
-      'Rotate the satellite dishes on the church roof, north of the Data Vault',
-      "Nail down the roof plates on the Raider structure near Trapper's Glade"
+      { id: 'stabilize-observation-deck-ridgeline', text: 'Stabilize the observation deck near the Ridgeline', type: 'interact' },
+      { id: 'enable-comms-terminal-olive', text: 'Enable the comms terminal near the Olive Grove', type: 'interact' },
+      { id: 'rotate-satellite-dishes-church', text: 'Rotate the satellite dishes on the church roof, north of the Data Vault', type: 'interact' },
+      { id: 'nail-down-roof-plates', text: "Nail down the roof plates on the Raider structure near Trapper's Glade", type: 'interact' }
     ],
     rewards: [
-      '3x Shrapnel Grenade',
-      '3x Snap Blast Grenade',
-      '3x Heavy Fuze Grenade'
+      { item: 'Shrapnel Grenade', quantity: 3 },
+      { item: 'Snap Blast Grenade', quantity: 3 },
+      { item: 'Heavy Fuze Grenade', quantity: 3 }
     ],
     maps: [
       'Blue Gate'
@@ -1293,12 +1622,13 @@ const DataRepository = (() => {
     id: 'dormant-barons',
     name: 'Dormant Barons',
     trader: 'Shani',
+    requires: ['the-trifecta'],
     objectives: [
-      'Loot a Baron husk'
+      { id: 'loot-baron-husk', text: 'Loot a Baron husk', type: 'loot' }
     ],
     rewards: [
-      '3x  Door Blocker',
-      "3x Li'l Smoke Grenade"
+      { item: 'Door Blocker', quantity: 3 },
+      { item: "Li'l Smoke Grenade", quantity: 3 }
     ],
     maps: [
       'Multiple'
@@ -1309,13 +1639,14 @@ const DataRepository = (() => {
     id: 'mixed-signals',
     name: 'Mixed Signals',
     trader: 'Tian Wen',
+    requires: ['a-better-use'],
     objectives: [
-      'Destroy an ARC Surveyor',
-      'Obtain 1 Surveyor Vault'
+      { id: 'destroy-arc-surveyor', text: 'Destroy an ARC Surveyor', type: 'kill' },
+      { id: 'obtain-surveyor-vault', text: 'Obtain 1 Surveyor Vault', type: 'deliver', item: 'Surveyor Vault' }
     ],
     rewards: [
-      '1x Photoelectric Cloak',
-      '1x Raider Hatch Key'
+      { item: 'Photoelectric Cloak', quantity: 1 },
+      { item: 'Raider Hatch Key', quantity: 1 }
     ],
     maps: [
       'Multiple'
@@ -1326,16 +1657,17 @@ const DataRepository = (() => {
     id: 'doctor-s-orders',
     name: "Doctor's Orders",
     trader: 'Lance',
+    requires: ['mixed-signals'],
     objectives: [
-      'Obtain 2 Antiseptic',
-      'Obtain 1 Syringe',
-      'Obtain 1 Durable Cloth',
-      'Obtain 1 Great Mullein'
+      { id: 'obtain-antiseptic', text: 'Obtain 2 Antiseptic', type: 'deliver', count: 2, item: 'Antiseptic' },
+      { id: 'obtain-syringe', text: 'Obtain 1 Syringe', type: 'deliver', item: 'Syringe' },
+      { id: 'obtain-durable-cloth', text: 'Obtain 1 Durable Cloth', type: 'deliver', item: 'Durable Cloth' },
+      { id: 'obtain-great-mullein', text: 'Obtain 1 Great Mullein', type: 'deliver', item: 'Great Mullein' }
     ],
     rewards: [
-      '3x Adrenaline Shot',
-      '3x Sterilized Bandage',
-      '1x Surge Shield Recharger'
+      { item: 'Adrenaline Shot', quantity: 3 },
+      { item: 'Sterilized Bandage', quantity: 3 },
+      { item: 'Surge Shield Recharger', quantity: 1 }
     ],
     maps: [
       'Multiple'
@@ -1346,15 +1678,16 @@ const DataRepository = (() => {
     id: 'medical-merchandise',
     name: 'Medical Merchandise',
     trader: 'Lance',
+    requires: ['doctor-s-orders'],
     objectives: [
-      "On Spaceport, search 2 containers in the Departure Building's exam rooms",
-      'Search 3 containers in the Hospital in Buried City',
-      "On Dam Battlegrounds, search 2 containers in the Research & Administration building's medical room"
+      { id: 'spaceport-search-containers-departure', text: "On Spaceport, search 2 containers in the Departure Building's exam rooms", type: 'loot', count: 2 },
+      { id: 'search-containers-hospital-buried', text: 'Search 3 containers in the Hospital in Buried City', type: 'loot', count: 3 },
+      { id: 'dam-battlegrounds-search-containers', text: "On Dam Battlegrounds, search 2 containers in the Research & Administration building's medical room", type: 'loot', count: 2 }
     ],
     rewards: [
-      '1x Banana Backpack Charm (Cosmetic)',
-      '3x Defibrillator',
-      '2x Vita Shot'
+      { item: 'Banana Backpack Charm (Cosmetic)', quantity: 1, type: 'cosmetic' },
+      { item: 'Defibrillator', quantity: 3 },
+      { item: 'Vita Shot', quantity: 2 }
     ],
     maps: [
       'Dam Battlegrounds',
@@ -1367,13 +1700,14 @@ const DataRepository = (() => {
     id: 'a-reveal-in-ruins',
     name: 'A Reveal in Ruins',
     trader: 'Lance',
+    requires: ['medical-merchandise'],
     objectives: [
-      'Search for an ESR Analyzer inside any pharmacy in Buried City',
-      'Deliver the ESR Analyzer to Lance'
+      { id: 'search-esr-analyzer-pharmacy', text: 'Search for an ESR Analyzer inside any pharmacy in Buried City', type: 'loot' },
+      { id: 'deliver-esr-analyzer-lance', text: 'Deliver the ESR Analyzer to Lance', type: 'deliver' }
     ],
     rewards: [
-      '1x Tactical Mk. 3 (Healing)',
-      '1x Surge Shield Recharger'
+      { item: 'Tactical Mk. 3 (Healing)', quantity: 1 },
+      { item: 'Surge Shield Recharger', quantity: 1 }
     ],
     maps: [
       'Buried City'
@@ -1384,19 +1718,20 @@ const DataRepository = (() => {
     id: 'broken-monument',
     name: 'Broken Monument',
     trader: 'Tian Wen',
+    requires: ['mixed-signals'],
     objectives: [
-      'Reach the hallowed grounds by the Scrap Yard',
-      'Search for a compass near the broken-down vehicles',
-      'Search for the video tape near the cylindrical containers',
-      'Search for the old field rations in the Raider camp',
-      'Deliver the First Wave Tape to Tian Wen',
-      'Deliver First Wave Compass to Tian Wen',
-      'Deliver First Wave Rations to Tian Wen'
+      { id: 'reach-hallowed-grounds-scrap', text: 'Reach the hallowed grounds by the Scrap Yard', type: 'visit' },
+      { id: 'search-compass-broken-down', text: 'Search for a compass near the broken-down vehicles', type: 'loot' },
+      { id: 'search-video-tape-cylindrical', text: 'Search for the video tape near the cylindrical containers', type: 'loot' },
+      { id: 'search-old-field-rations', text: 'Search for the old field rations in the Raider camp', type: 'loot' },
+      { id: 'deliver-first-wave-tape', text: 'Deliver the First Wave Tape to Tian Wen', type: 'deliver' },
+      { id: 'deliver-first-wave-compass', text: 'Deliver First Wave Compass to Tian Wen', type: 'deliver' },
+      { id: 'deliver-first-wave-rations', text: 'Deliver First Wave Rations to Tian Wen', type: 'deliver' }
     ],
     rewards: [
-      '1x Arpeggio I',
-      '1x Compensator II',
-      '80x Medium Ammo'
+      { item: 'Arpeggio I', quantity: 1 },
+      { item: 'Compensator II', quantity: 1 },
+      { item: 'Medium Ammo', quantity: 80 }
     ],
     maps: [
       'Multiple'
@@ -1407,12 +1742,13 @@ const DataRepository = (() => {
     id: 'marked-for-death',
     name: 'Marked for Death',
     trader: 'Tian Wen',
+    requires: ['broken-monument'],
     objectives: [
-      'Reach the Su Durante Warehouses in the Outskirts in Buried City'
+      { id: 'reach-su-durante-warehouses', text: 'Reach the Su Durante Warehouses in the Outskirts in Buried City', type: 'visit' }
     ],
     rewards: [
-      '1x Shotgun Choke II',
-      '1x Angled Grip II'
+      { item: 'Shotgun Choke II', quantity: 1 },
+      { item: 'Angled Grip II', quantity: 1 }
     ],
     maps: [
       'Buried City'
@@ -1423,17 +1759,18 @@ const DataRepository = (() => {
     id: 'straight-record',
     name: 'Straight Record',
     trader: 'Celeste',
+    requires: ['greasing-her-palms'],
     objectives: [
-      'Reach Victory Ridge',
-      'Find the old EMP trap',
-      'Disable the first power switch',
-      'Disable the second power switch',
-      'Disable the third power switch',
-      'Shutdown the EMP trap'
+      { id: 'reach-victory-ridge', text: 'Reach Victory Ridge', type: 'visit' },
+      { id: 'find-old-emp-trap', text: 'Find the old EMP trap', type: 'visit' },
+      { id: 'disable-first-power-switch', text: 'Disable the first power switch', type: 'interact' },
+      { id: 'disable-second-power-switch', text: 'Disable the second power switch', type: 'interact' },
+      { id: 'disable-third-power-switch', text: 'Disable the third power switch', type: 'interact' },
+      { id: 'shutdown-emp-trap', text: 'Shutdown the EMP trap', type: 'interact' }
     ],
     rewards: [
-      '5x Medium Gun Parts',
-      '3x Advanced Mechanical Components'
+      { item: 'Medium Gun Parts', quantity: 5 },
+      { item: 'Advanced Mechanical Components', quantity: 3 }
     ],
     maps: [
       'Dam Battlegrounds'
@@ -1444,16 +1781,17 @@ const DataRepository = (() => {
     id: 'a-lay-of-the-land',
     name: 'A Lay of the Land',
     trader: 'Shani',
+    requires: ['dormant-barons'],
     objectives: [
-      'Reach the Jiangsu Warehouse',
-      "Find the shipping notes in the foreman's office",
-      'Locate the scanners on the upper floor of Control Tower A6',
-      'Deliver 1 LiDAR Scanners to Shani'
+      { id: 'reach-jiangsu-warehouse', text: 'Reach the Jiangsu Warehouse', type: 'visit' },
+      { id: 'find-shipping-notes-foremans', text: "Find the shipping notes in the foreman's office", type: 'loot' },
+      { id: 'locate-scanners-upper-floor', text: 'Locate the scanners on the upper floor of Control Tower A6', type: 'visit' },
+      { id: 'deliver-lidar-scanners-shani', text: 'Deliver 1 LiDAR Scanners to Shani', type: 'deliver', item: 'LiDAR Scanner' }
     ],
     rewards: [
-      '1x Dam Testing Annex Key',
-      '3x Zipline',
-      '2x Smoke Grenade'
+      { item: 'Dam Testing Annex Key', quantity: 1 },
+      { item: 'Zipline', quantity: 3 },
+      { item: 'Smoke Grenade', quantity: 2 }
     ],
     maps: [
       'Spaceport'
@@ -1487,6 +1825,7 @@ const DataRepository = (() => {
           order: '5 – 9',
           name: 'Combat Conditioning',
           cost: 4,
+          requires: ['conditioning-field-conditioning'],
           description: 'Layers flat damage resistance that stacks with armour cores for steadier firefights.',
           focus: 'Damage resistance',
           community: 'Preferred over niche perks until raids hit purple threat levels.'
@@ -1496,6 +1835,7 @@ const DataRepository = (() => {
           order: '9 – 12',
           name: 'Hard Reset',
           cost: 3,
+          requires: ['conditioning-combat-conditioning'],
           description: 'Emergency stamina burst when shields pop so you can dodge or retreat before the second volley.',
           focus: 'Panic stamina refill',
           community: 'Greatly reduces wipe potential when your frontline loses a shield.'
@@ -1505,6 +1845,7 @@ const DataRepository = (() => {
           order: '12 – 18',
           name: "Survivor's Resolve",
           cost: 6,
+          requires: ['conditioning-hard-reset'],
           description: 'Heavier bleed-out buffer and faster revives keep squads alive while med-kits cycle.',
           focus: 'Downed resilience',
           community: 'High-tier crews highlight this before late-game hunts where chain revives are common.'
@@ -1514,6 +1855,7 @@ const DataRepository = (() => {
           order: '18 – 24',
           name: 'Juggernaut Weave',
           cost: 6,
+          requires: ['conditioning-survivors-resolve'],
           description: 'Shield durability and repair kits scale harder so tanks can anchor Titan encounters.',
           focus: 'Shield sustain',
           community: 'Feedback threads rank it above alternative blue-tier perks for raid longevity.'
@@ -1523,6 +1865,7 @@ const DataRepository = (() => {
           order: '24 – 30',
           name: 'Emergency Repairs',
           cost: 5,
+          requires: ['conditioning-juggernaut-weave'],
           description: 'Consumables top off extra health on revive, letting teams bounce back without retreating to camp.',
           focus: 'Post-revive safety',
           community: 'Speed-running crews pick this before pushing Grey Zone loops.'
@@ -1532,6 +1875,7 @@ const DataRepository = (() => {
           order: '30',
           name: 'Iron Constitution',
           cost: 8,
+          requires: ['conditioning-emergency-repairs'],
           description: 'Capstone padding for late game that lifts resistance caps and stacks multiplicatively with utility boosters.',
           focus: 'Endgame mitigation',
           community: 'Reserved for final 60 routes once core sustain picks are handled.'
@@ -1562,6 +1906,7 @@ const DataRepository = (() => {
           order: '14 – 19',
           name: 'Youthful Lungs',
           cost: 4,
+          requires: ['mobility-recon-sprint'],
           description: 'Adds stamina regen while sprinting to maintain pursuit pressure.',
           focus: 'Regeneration on the move',
           community: 'Top runners pair it with Recon Sprint for infinite circuit routes.'
@@ -1571,6 +1916,7 @@ const DataRepository = (() => {
           order: '19 – 22',
           name: 'Sprint Catalyst',
           cost: 3,
+          requires: ['mobility-youthful-lungs'],
           description: 'First dodge after a slide refunds stamina, letting you chain movement tech.',
           focus: 'Slide  dodge loop',
           community: 'Matches the clip meta for hover-scouts clearing artillery nests.'
@@ -1580,6 +1926,7 @@ const DataRepository = (() => {
           order: '22 – 28',
           name: 'Slipstream Vault',
           cost: 5,
+          requires: ['mobility-sprint-catalyst'],
           description: 'Vaults and mantles happen quicker and trigger a tiny speed burst.',
           focus: 'Traversal burst',
           community: 'Essential on vertical maps like The Spine and Raincatcher.'
@@ -1589,6 +1936,7 @@ const DataRepository = (() => {
           order: '28 – 36',
           name: 'Air Control Suite',
           cost: 6,
+          requires: ['mobility-slipstream-vault'],
           description: 'Extended air steering plus softer landings to keep combos alive.',
           focus: 'Mid-air control',
           community: 'Keeps movement tech consistent even with heavy kits equipped.'
@@ -1598,6 +1946,7 @@ const DataRepository = (() => {
           order: '36 – 42',
           name: "Dodger's Anthem",
           cost: 5,
+          requires: ['mobility-air-control'],
           description: 'Reduces dodge roll cooldown and leaves a stamina-free sprint window.',
           focus: 'Dodge spam',
           community: 'Popularised by tournament Vanguards chasing hounds.'
@@ -1607,6 +1956,7 @@ const DataRepository = (() => {
           order: '42',
           name: 'Catapult Roll',
           cost: 6,
+          requires: ['mobility-dodgers-anthem'],
           description: 'Capstone leap distance plus recovery roll leniency to finish the tree.',
           focus: 'Late-game reach',
           community: 'Picked once stamina economy is solved and players chase style clears.'
@@ -1637,6 +1987,7 @@ const DataRepository = (() => {
           order: '5 – 9',
           name: 'Silent Approach',
           cost: 4,
+          requires: ['survival-foragers-instinct'],
           description: 'Reduces crouch noise and slows alert build-up for stealthy salvaging.',
           focus: 'Stealth mobility',
           community: 'Pairs with Conditioning builds to keep aggro low between fights.'
@@ -1646,6 +1997,7 @@ const DataRepository = (() => {
           order: '9 – 15',
           name: 'Salvage Savvy',
           cost: 5,
+          requires: ['survival-silent-approach'],
           description: 'Additional material rolls from caches and supply drops.',
           focus: 'Resource income',
           community: 'Highly rated by crafters pushing late-tier workshop unlocks.'
@@ -1655,6 +2007,7 @@ const DataRepository = (() => {
           order: '15 – 22',
           name: 'Field Medic',
           cost: 6,
+          requires: ['survival-salvage-savvy'],
           description: 'Revives deliver bonus health and resistance for a few seconds.',
           focus: 'Team sustain',
           community: 'Competitive crews grab this before contesting large public events.'
@@ -1664,6 +2017,7 @@ const DataRepository = (() => {
           order: '22 – 30',
           name: 'Resource Radar',
           cost: 4,
+          requires: ['survival-field-medic'],
           description: 'Pings rare drops and caches on the minimap after each encounter.',
           focus: 'Macro scouting',
           community: 'Helps route late-game fabrication mats without backtracking.'
@@ -1673,6 +2027,7 @@ const DataRepository = (() => {
           order: '30 – 38',
           name: 'Night Watch',
           cost: 5,
+          requires: ['survival-resource-radar'],
           description: 'Thermal highlighting and extended enemy outlines in storms or night cycles.',
           focus: 'Situational awareness',
           community: 'Favoured for high-threat weather rotations and Dust Storm alerts.'
@@ -1682,6 +2037,7 @@ const DataRepository = (() => {
           order: '38',
           name: 'Tenacity Loop',
           cost: 6,
+          requires: ['survival-night-watch'],
           description: 'Late-tree perk that converts excess materials into on-field heals at stations.',
           focus: 'Endgame sustain',
           community: 'Used in marathon expeditions when med crates dry up.'
@@ -1700,7 +2056,7 @@ const traderMeta = {
 };
 
 return {
-  workshopStations, quests, skillBranches, skillPhases, traderMeta, mapVisuals, materialMedia
+  workshopStations, quests, skillBranches, skillPhases, traderMeta, mapVisuals, materialMedia, materialIds
 };
 })();
 
@@ -1776,943 +2132,5437 @@ const Notifier = (() => {
   return { push };
 })();
 
-// Controls theme toggling and persistence between light and dark modes.
-const ThemeController = (() => {
-  const toggleButton = document.getElementById('theme-toggle');
-  const root = document.documentElement;
-  const STORAGE_KEY = 'theme';
-
-  const applyTheme = (theme) => {
-    root.setAttribute('data-theme', theme);
-    toggleButton.innerHTML =
-      theme === 'dark'
-        ? '<i class="fa-solid fa-sun"></i>'
-        : '<i class="fa-solid fa-moon"></i>';
-    toggleButton.setAttribute('aria-pressed', theme === 'dark');
-  };
-
-  const init = () => {
-    const saved = StorageManager.get(STORAGE_KEY, 'dark');
-    applyTheme(saved);
-    toggleButton.addEventListener('click', () => {
-      const next = root.getAttribute('data-theme') === 'dark' ? 'light' : 'dark';
-      applyTheme(next);
-      StorageManager.set(STORAGE_KEY, next);
-    });
+// Modal renders a single accessible dialog at a time for detail panels and
+// confirmations. Content is supplied as a DOM node by the caller.
+const Modal = (() => {
+  const root = document.getElementById('modal-root');
+  let lastFocus = null;
+  let onCloseHandler = null;
+
+  const close = () => {
+    if (root.hidden) return;
+    root.hidden = true;
+    root.innerHTML = '';
+    document.body.classList.remove('modal-open');
+    const handler = onCloseHandler;
+    onCloseHandler = null;
+    if (handler) handler();
+    if (lastFocus && typeof lastFocus.focus === 'function') lastFocus.focus();
   };
 
-  return { init };
-})();
-
-// Handles switching between the SPA views while keeping ARIA attributes in sync.
-const NavigationController = (() => {
-  const navButtons = Array.from(document.querySelectorAll('.nav-link'));
-  const sections = Array.from(document.querySelectorAll('.view'));
+  const open = ({ title, icon = 'fa-circle-info', content, actions = [], onClose = null, className = '' }) => {
+    close();
+    lastFocus = document.activeElement;
+    onCloseHandler = onClose;
 
-  const showSection = (targetId) => {
-    let activated = null;
-    sections.forEach((section) => {
-      const isActive = section.id === targetId;
-      section.classList.toggle('active', isActive);
-      if (isActive) {
-        activated = section;
-      }
-      const navButton = navButtons.find((button) => button.dataset.target === section.id);
-      if (navButton) {
-        navButton.classList.toggle('active', isActive);
-        navButton.setAttribute('aria-expanded', String(isActive));
-      }
+    const dialog = Utils.createElement('div', {
+      className: `modal ${className}`.trim(),
+      attrs: { role: 'dialog', 'aria-modal': 'true', 'aria-labelledby': 'modal-title' }
     });
-
-    if (activated) {
-      window.requestAnimationFrame(() => {
-        window.scrollTo({ top: 0, behavior: 'smooth' });
+    dialog.innerHTML = `
+      <header class="modal-header">
+        <h3 id="modal-title"><i class="fa-solid ${icon}"></i> ${title}</h3>
+        <button type="button" class="icon-button modal-close" aria-label="Close">
+          <i class="fa-solid fa-xmark"></i>
+        </button>
+      </header>
+      <div class="modal-body"></div>
+    `;
+    const body = dialog.querySelector('.modal-body');
+    if (content) body.appendChild(content);
+
+    if (actions.length) {
+      const footer = Utils.createElement('footer', { className: 'modal-actions' });
+      actions.forEach((action) => {
+        const button = Utils.createElement('button', {
+          className: action.primary ? 'icon-button modal-primary' : 'icon-button',
+          text: action.label,
+          attrs: { type: 'button' }
+        });
+        button.addEventListener('click', () => {
+          // Returning false from an action keeps the dialog open.
+          if (action.onClick && action.onClick() === false) return;
+          close();
+        });
+        footer.appendChild(button);
       });
+      dialog.appendChild(footer);
     }
+
+    dialog.querySelector('.modal-close').addEventListener('click', close);
+    root.appendChild(dialog);
+    root.hidden = false;
+    document.body.classList.add('modal-open');
+    dialog.querySelector('.modal-close').focus();
+    return { close, dialog };
   };
 
   const init = () => {
-    navButtons.forEach((button) => {
-      button.addEventListener('click', () => showSection(button.dataset.target));
+    root.addEventListener('click', (event) => {
+      if (event.target === root) close();
+    });
+    document.addEventListener('keydown', (event) => {
+      if (event.key === 'Escape') close();
     });
   };
 
-  return { init };
+  return { open, close, init };
 })();
 
-// WorkshopView renders upgrade tracking cards and synchronises material inputs.
-const WorkshopView = (() => {
-  const container = document.getElementById('workshop-grid');
+// MaterialPlanner owns the shared material inventory and derives outstanding
+// needs from workshop levels and quest objectives so several views can share
+// one source of truth.
+const MaterialPlanner = (() => {
   const materialMedia = DataRepository.materialMedia ?? {};
+  const materialIds = DataRepository.materialIds ?? {};
+  const materialNames = new Map(Object.entries(materialIds).map(([name, id]) => [id, name]));
   const FALLBACK_MEDIA = {
     image: 'https://arcraiders.wiki/wiki/Special:FilePath/ARC_Raiders_Logo.png',
     alt: 'ARC Raiders emblem'
   };
+  const ALLOCATION_KEY = 'workshop:allocation';
+  const SHOW_LEVEL_ONE_KEY = 'workshop:showLevelOne';
+  // Matches objectives such as "Get 3 ARC Alloy for Shani" or "Obtain 1 Syringe".
+  const OBJECTIVE_PATTERN = /^(?:Get|Obtain|Deliver)\s+(\d+|an?)\s+(.+?)(?:\s+(?:for|to)\s+[A-Z].*)?$/;
+
+  const knownMaterials = new Set([
+    ...Object.keys(materialMedia),
+    ...DataRepository.workshopStations.flatMap((station) =>
+      (station.levels ?? []).flatMap((level) => (level.materials ?? []).map((material) => material.item))
+    )
+  ]);
 
   const getMaterialVisual = (name) => materialMedia[name] ?? FALLBACK_MEDIA;
 
-  const calculateLevelTotals = (station, level) => {
-    const trackable = Array.isArray(level.materials)
-      ? level.materials.filter((material) => Number.isFinite(material.quantity))
-      : [];
-    const totalRequired = trackable.reduce((sum, material) => sum + (material.quantity ?? 0), 0);
-    const totalHave = trackable.reduce((sum, material) => {
-      const key = Utils.formatKey('workshop', station.id, level.level, material.item);
-      const stored = StorageManager.get(key, 0) || 0;
-      const cap = material.quantity ?? 0;
-      return sum + Math.min(stored, cap);
-    }, 0);
-    const totalRemaining = Math.max(totalRequired - totalHave, 0);
-    const progress = totalRequired
-      ? Math.round((totalHave / totalRequired) * 100)
-      : trackable.length
-      ? 0
-      : 100;
-    return { totalRequired, totalHave, totalRemaining, progress };
-  };
+  const getMaterialId = (item) => materialIds[item] ?? Utils.formatKey(item);
 
-  const buildStatusMarkup = (remaining, required) => {
-    const ready = required === 0 || remaining === 0;
-    return `
-      <i class="fa-solid ${ready ? 'fa-check-double' : 'fa-triangle-exclamation'}"></i>
-      <div class="station-level-status-copy">
-        <span class="station-level-status-text">${ready ? 'Ready to upgrade' : 'Not enough resources'}</span>
-        ${
-          ready
-            ? ''
-            : `<span class="station-level-status-detail">Need <strong>${remaining}</strong> more</span>`
-        }
-      </div>
-    `;
+  const getMaterialName = (id) => materialNames.get(id) ?? id;
+
+  const isKnownMaterial = (item) => knownMaterials.has(item);
+
+  const getWorkshopKey = (stationId, levelNumber, item) =>
+    Utils.formatKey('workshop', stationId, levelNumber, getMaterialId(item));
+
+  const getObjectiveKey = (questId, objectiveId) => Utils.formatKey('quest', questId, objectiveId);
+
+  // Structured objectives name their material; free-text ones are parsed.
+  const parseMaterialObjective = (objective) => {
+    if (objective.item) return { item: objective.item, quantity: QuestPlanner.getTarget(objective) };
+    if (objective.type) return null;
+    const match = OBJECTIVE_PATTERN.exec(objective.text.trim());
+    if (!match) return null;
+    const [, amount, item] = match;
+    const numeric = Number(amount);
+    // "Get a Hornet Driver" only counts when the item is a recognised material.
+    if (!Number.isFinite(numeric) && !knownMaterials.has(item)) return null;
+    return { item, quantity: Number.isFinite(numeric) ? numeric : 1 };
   };
 
-  const renderResourceRow = (station, level, material) => {
-    const trackable = Number.isFinite(material.quantity);
-    const key = trackable ? Utils.formatKey('workshop', station.id, level.level, material.item) : null;
-    const max = trackable ? material.quantity ?? 0 : 0;
-    const stored = trackable ? StorageManager.get(key, 0) : 0;
-    const have = trackable ? Utils.clamp(Number(stored) || 0, 0, max) : 0;
-    const remaining = trackable ? Math.max(max - have, 0) : 0;
-    const percentage = trackable && max ? (have / max) * 100 : 0;
-    const visual = getMaterialVisual(material.item);
+  const getInventoryKey = (item) => Utils.formatKey('inventory', getMaterialId(item));
 
-    const row = Utils.createElement('li', {
-      className: `resource-item${trackable ? ' trackable' : ' info-only'}${trackable && remaining === 0 ? ' complete' : ''}`,
-      attrs: {
-        'data-required': trackable ? max : 0,
-        'data-current': trackable ? have : 0,
-        'data-remaining': trackable ? remaining : 0
-      }
-    });
+  const getOwned = (item) => Math.max(Number(StorageManager.get(getInventoryKey(item), 0)) || 0, 0);
 
-    const haveMarkup = trackable
-      ? `
-          <div class="resource-status">
-            <span class="resource-count">
-              <strong class="resource-have">${have}</strong>
-              <span class="resource-divider">/</span>
-              <span class="resource-total">${max}</span>
-            </span>
-            <div class="resource-progress"><span style="width: ${percentage}%"></span></div>
-          </div>
-        `
-      : `
-          <div class="resource-status">
-            ${
-              material.note
-                ? `<p class="resource-note">${material.note}</p>`
-                : '<p class="resource-note">No tracking required.</p>'
-            }
-          </div>
-        `;
+  const setOwned = (item, value, options) =>
+    StorageManager.set(getInventoryKey(item), Math.max(Math.floor(Number(value) || 0), 0), options);
 
-    row.innerHTML = `
-      <figure class="resource-thumb">
-       <img src="${visual.image}"
-     alt="${visual.alt || (material.item + ' item from ARC Raiders')}"
-     loading="lazy" decoding="async" referrerpolicy="no-referrer" />
-      </figure>
-      <div class="resource-info">
-        <span class="resource-name">${material.item}</span>
-        ${haveMarkup}
-      </div>
-      ${
-        trackable
-          ? `<div class="resource-input">
-               <label>
-                 <span class="sr-only">Have ${material.item}</span>
-                 <input type="number" min="0" max="${max}" step="1" value="${have}" data-storage-key="${key}" />
-               </label>
-             </div>`
-          : ''
-      }
-    `;
+  const getAllocationMode = () =>
+    StorageManager.get(ALLOCATION_KEY, 'priority') === 'reserve' ? 'reserve' : 'priority';
 
-    const resourceImg = row.querySelector('img');
-    if (resourceImg) {
-      resourceImg.addEventListener(
-        'error',
-        () => {
-          resourceImg.src = FALLBACK_MEDIA.image;
-          resourceImg.alt = FALLBACK_MEDIA.alt;
-        },
-        { once: true }
-      );
-    }
+  const shouldShowLevelOne = () => Boolean(StorageManager.get(SHOW_LEVEL_ONE_KEY, false));
 
-    return row;
+  // Level 1 is the station's starting tier and is hidden unless the player
+  // opts in via the workshop toolbar.
+  const isTrackedLevel = (level) => shouldShowLevelOne() || Number(level.level) !== 1;
+
+  const getBuiltKey = (stationId) => `workshop:${stationId}:built`;
+
+  const getBuiltLevel = (station) => Number(StorageManager.get(getBuiltKey(station.id), 0)) || 0;
+
+  const isLevelBuilt = (station, level) => Number(level.level) <= getBuiltLevel(station);
+
+  const getTrackedLevels = (station) =>
+    (station.levels ?? []).filter(isTrackedLevel).sort((a, b) => Number(a.level) - Number(b.level));
+
+  // Completed levels are built, the first unbuilt tracked level is current and
+  // anything after it is locked.
+  const getLevelState = (station, level) => {
+    if (isLevelBuilt(station, level)) return 'completed';
+    const current = getTrackedLevels(station).find((entry) => !isLevelBuilt(station, entry));
+    return current && Number(current.level) === Number(level.level) ? 'current' : 'locked';
   };
 
-  const renderLevelCard = (station, level) => {
-    const { totalRequired, totalRemaining, progress } = calculateLevelTotals(station, level);
-    const roman = Utils.toRoman(level.level);
-    const levelCard = Utils.createElement('article', {
-      className: `station-level${totalRemaining === 0 || totalRequired === 0 ? ' complete' : ''}`,
-      attrs: {
-        'data-station-id': station.id,
-        'data-station-name': station.name,
-        'data-level-number': level.level,
-        'data-level-id': String(level.level),
-        'data-total-required': totalRequired,
-        'data-total-remaining': totalRemaining
+  // Every trackable station-level requirement in priority order: stations as
+  // listed in DataRepository, then ascending level. Hidden and built levels
+  // are skipped unless includeInactive is set.
+  const listRequirements = ({ includeInactive = false } = {}) =>
+    DataRepository.workshopStations.flatMap((station) =>
+      [...(station.levels ?? [])]
+        .filter((level) => includeInactive || (isTrackedLevel(level) && !isLevelBuilt(station, level)))
+        .sort((a, b) => Number(a.level) - Number(b.level))
+        .flatMap((level) =>
+          (level.materials ?? [])
+            .filter((material) => Number.isFinite(material.quantity))
+            .map((material) => ({
+              key: getWorkshopKey(station.id, level.level, material.item),
+              station,
+              level,
+              item: material.item,
+              required: material.quantity
+            }))
+        )
+    );
+
+  // Distributes the shared inventory across every requirement. In "priority"
+  // mode stock flows to the earliest requirement first; in "reserve" mode each
+  // level keeps what the player explicitly reserved for it. Returns the
+  // per-requirement allocations keyed by workshop key plus per-item totals.
+  const allocateInventory = ({ mode = getAllocationMode() } = {}) => {
+    const requirements = listRequirements();
+    const items = new Map();
+    const allocations = new Map();
+
+    requirements.forEach((requirement) => {
+      const totals = items.get(requirement.item) ?? {
+        item: requirement.item,
+        owned: getOwned(requirement.item),
+        demand: 0,
+        reserved: 0,
+        available: getOwned(requirement.item),
+        consumers: 0
+      };
+      items.set(requirement.item, totals);
+
+      // A reservation is only backed by the stock left after earlier ones;
+      // the rest of it is over-committed, not gathered.
+      let reserved = 0;
+      let wanted = requirement.required;
+      if (mode === 'reserve') {
+        const stored = Number(StorageManager.get(requirement.key, 0)) || 0;
+        reserved = Utils.clamp(stored, 0, requirement.required);
+        wanted = reserved;
       }
+      const allocated = Math.min(wanted, totals.available);
+      totals.available -= allocated;
+
+      totals.demand += requirement.required;
+      totals.reserved += reserved;
+      totals.consumers += 1;
+      allocations.set(requirement.key, { ...requirement, allocated, reserved });
     });
 
-    const levelLabel = level.label ?? `Level ${level.level}`;
-    const levelIndex = roman || level.level;
+    items.forEach((totals) => {
+      totals.overcommitted =
+        mode === 'reserve'
+          ? totals.reserved > totals.owned
+          : totals.consumers > 1 && totals.demand > totals.owned && totals.owned > 0;
+    });
 
-    const header = Utils.createElement('header', { className: 'station-level-headline' });
-    header.innerHTML = `
-      <div class="station-level-heading">
-        <span class="station-level-index">${levelIndex}</span>
-        <h4 class="station-level-title">${levelLabel}</h4>
-      </div>
-      <div class="station-level-progress">
-        <div class="station-level-progress-bar"><span style="width: ${progress}%"></span></div>
-        <span class="station-level-progress-value">${progress}% complete</span>
-      </div>
-    `;
+    allocations.forEach((allocation) => {
+      const totals = items.get(allocation.item);
+      allocation.overcommitted =
+        totals.overcommitted &&
+        (mode === 'reserve' ? allocation.reserved > allocation.allocated : allocation.allocated < allocation.required);
+    });
 
-    const resourcesSection = Utils.createElement('div', { className: 'station-resources' });
-    resourcesSection.innerHTML = '<h5><i class="fa-solid fa-boxes-stacked"></i> Required Resources</h5>';
+    return { mode, allocations, items };
+  };
 
-    const list = Utils.createElement('ul', { className: 'resource-list' });
-    const materials = Array.isArray(level.materials) ? level.materials : [];
-    if (materials.length) {
-      materials.forEach((material) => {
-        const row = renderResourceRow(station, level, material);
-        list.appendChild(row);
-      });
-    } else {
-      list.appendChild(
-        Utils.createElement('li', {
-          className: 'resource-empty',
-          text: 'No materials required for this level.'
+  const listMaterials = () =>
+    Array.from(new Set(listRequirements({ includeInactive: true }).map((requirement) => requirement.item))).sort((a, b) =>
+      a.localeCompare(b)
+    );
+
+  // Reservations only decide which level gets the stock, not how much is
+  // still missing, so outstanding needs always use the priority distribution.
+  const collectWorkshopNeeds = () => {
+    const { allocations } = allocateInventory({ mode: 'priority' });
+    return Array.from(allocations.values()).map((allocation) => ({
+      item: allocation.item,
+      required: allocation.required,
+      remaining: allocation.required - Math.min(allocation.allocated, allocation.required),
+      source: {
+        type: 'workshop',
+        id: `${allocation.station.id}:${allocation.level.level}`,
+        label: `${allocation.station.name} · ${allocation.level.label ?? `Level ${allocation.level.level}`}`,
+        icon: allocation.station.icon
+      }
+    }));
+  };
+
+  const collectQuestNeeds = () =>
+    DataRepository.quests.flatMap((quest) =>
+      quest.objectives
+        .map((objective) => ({ objective, parsed: parseMaterialObjective(objective) }))
+        .filter(({ parsed }) => parsed)
+        .map(({ objective, parsed }) => {
+          const delivered = QuestPlanner.getObjectiveCount(quest, objective);
+          return {
+            item: parsed.item,
+            required: parsed.quantity,
+            remaining: Math.max(parsed.quantity - delivered, 0),
+            source: {
+              type: 'quest',
+              id: quest.id,
+              label: `${quest.name} (${quest.trader})`,
+              icon: quest.icon
+            }
+          };
         })
-      );
-    }
-    resourcesSection.appendChild(list);
+    );
 
-    const status = Utils.createElement('div', {
-      className: `station-level-status ${totalRemaining === 0 || totalRequired === 0 ? 'station-level-status--ready' : 'station-level-status--missing'}`,
-      html: buildStatusMarkup(totalRemaining, totalRequired)
-    });
+  // Returns one entry per material with the summed remaining quantity and the
+  // individual sources still asking for it. Satisfied requirements are omitted.
+  const collectNeeds = ({ includeQuests = true } = {}) => {
+    const entries = [...collectWorkshopNeeds(), ...(includeQuests ? collectQuestNeeds() : [])];
+    const byItem = new Map();
+    entries
+      .filter((entry) => entry.remaining > 0)
+      .forEach((entry) => {
+        const current = byItem.get(entry.item) ?? { item: entry.item, remaining: 0, sources: [] };
+        current.remaining += entry.remaining;
+        current.sources.push({ ...entry.source, remaining: entry.remaining });
+        byItem.set(entry.item, current);
+      });
+    return Array.from(byItem.values());
+  };
 
-    levelCard.append(header, resourcesSection, status);
-    return levelCard;
+  // Everything that consumes a single material: each tracked station level and
+  // quest objective, plus the owned stock and any surplus beyond total demand.
+  const getMaterialUsage = (item) => {
+    const { allocations } = allocateInventory({ mode: 'priority' });
+    const workshop = Array.from(allocations.values())
+      .filter((allocation) => allocation.item === item)
+      .map((allocation) => ({
+        station: allocation.station,
+        level: allocation.level,
+        required: allocation.required,
+        allocated: allocation.allocated,
+        remaining: allocation.required - allocation.allocated
+      }));
+
+    const quests = DataRepository.quests.flatMap((quest) =>
+      quest.objectives
+        .map((objective) => ({ objective, parsed: parseMaterialObjective(objective) }))
+        .filter(({ parsed }) => parsed?.item === item)
+        .map(({ objective, parsed }) => ({
+          quest,
+          objective,
+          required: parsed.quantity,
+          delivered: QuestPlanner.getObjectiveCount(quest, objective),
+          done: QuestPlanner.isObjectiveComplete(quest, objective)
+        }))
+    );
+
+    const owned = getOwned(item);
+    const demand =
+      Utils.sum(workshop.map((entry) => entry.required)) +
+      Utils.sum(quests.map((entry) => entry.required - entry.delivered));
+    return {
+      item,
+      owned,
+      workshop,
+      quests,
+      demand,
+      stillNeeded: Math.max(demand - owned, 0),
+      surplus: Math.max(owned - demand, 0)
+    };
   };
 
-  const renderStation = (station) => {
-    const trackedLevels = (station.levels ?? [])
-      .filter((level) => Number(level.level) !== 1)
-      .sort((a, b) => Number(a.level) - Number(b.level));
+  // Storage keys whose changes affect collectNeeds, used for subscriptions.
+  const getTrackedKeys = () => [
+    ALLOCATION_KEY,
+    SHOW_LEVEL_ONE_KEY,
+    ...DataRepository.workshopStations.map((station) => getBuiltKey(station.id)),
+    ...listRequirements({ includeInactive: true }).map((requirement) => requirement.key),
+    ...Array.from(knownMaterials).map(getInventoryKey),
+    ...DataRepository.quests.flatMap((quest) =>
+      quest.objectives.flatMap((objective) => [
+        getObjectiveKey(quest.id, objective.id),
+        QuestPlanner.getCountKey(quest.id, objective.id)
+      ])
+    )
+  ];
 
-    if (!trackedLevels.length) {
-      return null;
-    }
+  return {
+    FALLBACK_MEDIA,
+    getMaterialVisual,
+    ALLOCATION_KEY,
+    getWorkshopKey,
+    getObjectiveKey,
+    getMaterialId,
+    getMaterialName,
+    isKnownMaterial,
+    getInventoryKey,
+    getOwned,
+    setOwned,
+    getAllocationMode,
+    SHOW_LEVEL_ONE_KEY,
+    isTrackedLevel,
+    getTrackedLevels,
+    getBuiltKey,
+    getBuiltLevel,
+    isLevelBuilt,
+    getLevelState,
+    allocateInventory,
+    listMaterials,
+    parseMaterialObjective,
+    collectNeeds,
+    getMaterialUsage,
+    getTrackedKeys
+  };
+})();
 
-    const card = Utils.createElement('section', {
-      className: 'station-card',
-      attrs: {
-        'data-station-id': station.id,
-        'data-station-name': station.name
-      }
+// SkillPlanner holds the skill tree rules shared by the skill views: node
+// lookup, prerequisite edges, locking and cascading removals.
+const SkillPlanner = (() => {
+  const SELECTED_KEY = 'skills:selected';
+  const SETTINGS_KEY = 'skills:settings';
+  // One skill point per player level, up to the endgame cap.
+  const MAX_POINTS = 75;
+  const DEFAULT_SETTINGS = { strict: false, playerLevel: null, view: 'list' };
+  const BUILDS_KEY = 'skills:builds';
+  const DEFAULT_BUILD = { id: 'main', name: 'Main build' };
+  const nodes = new Map(
+    DataRepository.skillBranches.flatMap((branch) => branch.nodes.map((node) => [node.id, { ...node, branch }]))
+  );
+  const dependants = new Map();
+  nodes.forEach((node) => {
+    (node.requires ?? []).forEach((parentId) => {
+      dependants.set(parentId, [...(dependants.get(parentId) ?? []), node.id]);
     });
+  });
 
-    if (station.accentColor) {
-      card.style.setProperty('--station-accent', station.accentColor);
-    }
+  const getNode = (id) => nodes.get(id) ?? null;
 
-    const header = Utils.createElement('div', { className: 'station-header' });
-    header.innerHTML = `
-      <div class="station-headline">
-        <span class="station-meta"><i class="fa-solid ${station.icon}"></i> Workshop Station</span>
-        <h3 class="station-title">${station.name}</h3>
-      </div>
-    `;
+  const getSelected = () => StorageManager.get(SELECTED_KEY, {});
 
-    let select = null;
-    if (trackedLevels.length > 1) {
-      const selector = Utils.createElement('label', {
-        className: 'station-level-selector',
-        html: `
-          <span class="selector-label">Level</span>
-          <select class="station-level-picker" aria-label="Select upgrade level for ${station.name}"></select>
-        `
-      });
+  const setSelected = (value) => StorageManager.set(SELECTED_KEY, value);
 
-      select = selector.querySelector('select');
-      trackedLevels.forEach((level) => {
-        const option = document.createElement('option');
-        option.value = String(level.level);
-        option.textContent = level.label ? level.label : `Level ${Utils.toRoman(level.level) || level.level}`;
-        select.appendChild(option);
+  const getPrerequisites = (id) => (getNode(id)?.requires ?? []).map(getNode).filter(Boolean);
+
+  // A node is unlocked once every prerequisite is selected.
+  const isUnlocked = (id, selected = getSelected()) =>
+    getPrerequisites(id).every((parent) => Boolean(selected[parent.id]));
+
+  // Every selected node that would lose a prerequisite if id were removed, in
+  // tree order.
+  const collectDependants = (id, selected = getSelected()) => {
+    const found = new Set();
+    const visit = (parentId) => {
+      (dependants.get(parentId) ?? []).forEach((childId) => {
+        if (!selected[childId] || found.has(childId)) return;
+        found.add(childId);
+        visit(childId);
       });
+    };
+    visit(id);
+    return Array.from(nodes.keys()).filter((nodeId) => found.has(nodeId)).map(getNode);
+  };
+
+  const calculatePoints = (selected = getSelected()) =>
+    Utils.sum(
+      Array.from(nodes.values())
+        .filter((node) => selected[node.id])
+        .map((node) => Number(node.cost || 0))
+    );
+
+  const getSettings = () => ({ ...DEFAULT_SETTINGS, ...StorageManager.get(SETTINGS_KEY, {}) });
+
+  const updateSettings = (changes) => StorageManager.set(SETTINGS_KEY, { ...getSettings(), ...changes });
+
+  // Without a player level the planner budgets for the endgame cap.
+  const getAvailablePoints = () => {
+    const { playerLevel } = getSettings();
+    return playerLevel ? Utils.clamp(Math.floor(playerLevel), 0, MAX_POINTS) : MAX_POINTS;
+  };
+
+  const canAfford = (id, selected = getSelected()) =>
+    calculatePoints(selected) + Number(getNode(id)?.cost || 0) <= getAvailablePoints();
+
+  // Builds registry: the active build's picks live in skills:selected so every
+  // other feature keeps reading one key; inactive builds keep theirs here.
+  const readBuilds = () => {
+    const stored = StorageManager.get(BUILDS_KEY, null);
+    if (stored?.builds?.length && stored.builds.some((build) => build.id === stored.active)) return stored;
+    return { active: DEFAULT_BUILD.id, builds: [{ ...DEFAULT_BUILD }] };
+  };
+
+  const saveBuilds = (registry) => StorageManager.set(BUILDS_KEY, registry, { debounce: 0 });
+
+  const listBuilds = () => {
+    const registry = readBuilds();
+    return registry.builds.map((build) => ({
+      id: build.id,
+      name: build.name,
+      active: build.id === registry.active,
+      selected: build.id === registry.active ? getSelected() : { ...(build.selected ?? {}) }
+    }));
+  };
+
+  const getActiveBuild = () => listBuilds().find((build) => build.active);
+
+  const createBuildId = (name) =>
+    `${Utils.formatKey(name).replace(/[^a-z0-9-]/g, '') || 'build'}-${Date.now().toString(36)}`;
+
+  const createBuild = (name, selected = {}) => {
+    const registry = readBuilds();
+    const build = { id: createBuildId(name), name: name.trim() || 'New build', selected: { ...selected } };
+    registry.builds.push(build);
+    saveBuilds(registry);
+    return build;
+  };
+
+  const cloneBuild = (id) => {
+    const source = listBuilds().find((build) => build.id === id);
+    return source ? createBuild(`${source.name} (copy)`, source.selected) : null;
+  };
+
+  const renameBuild = (id, name) => {
+    const registry = readBuilds();
+    const build = registry.builds.find((entry) => entry.id === id);
+    if (!build || !name.trim()) return;
+    build.name = name.trim();
+    saveBuilds(registry);
+  };
+
+  const activateBuild = (id) => {
+    const registry = readBuilds();
+    const target = registry.builds.find((build) => build.id === id);
+    if (!target || registry.active === id) return;
+    const current = registry.builds.find((build) => build.id === registry.active);
+    current.selected = getSelected();
+    registry.active = id;
+    StorageManager.set(SELECTED_KEY, target.selected ?? {}, { debounce: 0 });
+    delete target.selected;
+    saveBuilds(registry);
+  };
 
-      header.appendChild(selector);
+  const deleteBuild = (id) => {
+    const registry = readBuilds();
+    if (registry.builds.length <= 1) return false;
+    if (registry.active === id) {
+      activateBuild(registry.builds.find((build) => build.id !== id).id);
+      return deleteBuild(id);
     }
+    registry.builds = registry.builds.filter((build) => build.id !== id);
+    saveBuilds(registry);
+    return true;
+  };
 
-    const levels = Utils.createElement('div', { className: 'station-levels' });
-    trackedLevels.forEach((level) => {
-      const levelCard = renderLevelCard(station, level);
-      levels.appendChild(levelCard);
+  // Nodes picked in a selection whose prerequisites are not picked with them.
+  const findMissingPrerequisites = (selected) =>
+    Array.from(nodes.values()).filter((node) => selected[node.id] && !isUnlocked(node.id, selected));
+
+  // Orders the changes from one selection to another. Dependants are dropped
+  // before their prerequisites, then picks follow tree order so every step is
+  // a legal state; with the drops first the running total never rises above
+  // the larger of the two builds, so a target within the cap stays within it.
+  const planRespec = (from, to, cap = getAvailablePoints()) => {
+    const order = Array.from(nodes.keys());
+    const drops = order.filter((id) => from[id] && !to[id]).reverse();
+    const picks = order.filter((id) => to[id] && !from[id]);
+    const current = { ...from };
+    let points = calculatePoints(current);
+    const startPoints = points;
+    const steps = [];
+    drops.forEach((id) => {
+      delete current[id];
+      points -= Number(getNode(id).cost || 0);
+      steps.push({ action: 'drop', node: getNode(id), points, overCap: points > cap });
+    });
+    picks.forEach((id) => {
+      current[id] = true;
+      points += Number(getNode(id).cost || 0);
+      steps.push({ action: 'pick', node: getNode(id), points, overCap: points > cap });
     });
+    return {
+      steps,
+      cap,
+      startPoints,
+      endPoints: points,
+      refunded: Utils.sum(drops.map((id) => Number(getNode(id).cost || 0))),
+      spent: Utils.sum(picks.map((id) => Number(getNode(id).cost || 0))),
+      invalidTarget: findMissingPrerequisites(to)
+    };
+  };
 
-    const storageKey = `workshop:${station.id}:selectedLevel`;
-    const storedLevel = StorageManager.get(storageKey, String(trackedLevels[0].level));
+  const getBranchPoints = (branch, selected = getSelected()) => {
+    const spent = Utils.sum(branch.nodes.filter((node) => selected[node.id]).map((node) => Number(node.cost || 0)));
+    const total = Utils.sum(branch.nodes.map((node) => Number(node.cost || 0)));
+    return { spent, total, toFinish: total - spent };
+  };
 
-    const updateVisibleLevel = (levelValue) => {
-      const target = trackedLevels.find((level) => String(level.level) === levelValue);
-      const fallbackValue = String(trackedLevels[0].level);
-      const finalValue = target ? levelValue : fallbackValue;
-      Array.from(levels.children).forEach((node) => {
-        const isActive = node.getAttribute('data-level-id') === finalValue;
-        node.classList.toggle('active', isActive);
-      });
-      if (select && select.value !== finalValue) {
-        select.value = finalValue;
-      }
-    };
+  return {
+    SELECTED_KEY,
+    SETTINGS_KEY,
+    MAX_POINTS,
+    getNode,
+    getSelected,
+    setSelected,
+    getPrerequisites,
+    isUnlocked,
+    collectDependants,
+    calculatePoints,
+    getSettings,
+    updateSettings,
+    getAvailablePoints,
+    canAfford,
+    findMissingPrerequisites,
+    planRespec,
+    getBranchPoints,
+    BUILDS_KEY,
+    listBuilds,
+    getActiveBuild,
+    createBuild,
+    cloneBuild,
+    renameBuild,
+    activateBuild,
+    deleteBuild
+  };
+})();
 
-    const initialLevel = String(storedLevel);
-    updateVisibleLevel(initialLevel);
+// QuestPlanner holds the quest progression rules shared by the quest views:
+// objective completion, prerequisite chains and which quests can start now.
+const QuestPlanner = (() => {
+  const quests = new Map(DataRepository.quests.map((quest) => [quest.id, quest]));
+  const OBJECTIVE_TYPES = {
+    loot: { icon: 'fa-box-open', label: 'Loot' },
+    kill: { icon: 'fa-crosshairs', label: 'Kill' },
+    visit: { icon: 'fa-location-dot', label: 'Visit' },
+    deliver: { icon: 'fa-truck-ramp-box', label: 'Deliver' },
+    interact: { icon: 'fa-hand-pointer', label: 'Interact' }
+  };
 
-    if (select) {
-      select.value = initialLevel;
-      select.addEventListener('change', (event) => {
-        const value = event.target.value;
-        StorageManager.set(storageKey, value);
-        updateVisibleLevel(value);
-      });
-    }
+  const getQuest = (id) => quests.get(id) ?? null;
 
-    card.append(header, levels);
-    return card;
+  const getPrerequisites = (id) => (getQuest(id)?.requires ?? []).map(getQuest).filter(Boolean);
+
+  const isObjectiveComplete = (quest, objective) =>
+    Boolean(StorageManager.get(MaterialPlanner.getObjectiveKey(quest.id, objective.id), false));
+
+  // Objectives without a count are a single step.
+  const getTarget = (objective) => Math.max(Math.floor(Number(objective.count) || 1), 1);
+
+  const getCountKey = (questId, objectiveId) => Utils.formatKey('quest', questId, objectiveId, 'count');
+
+  // The completion flag stays the source of truth (older saves only know it);
+  // the count key holds partial progress below it.
+  const getObjectiveCount = (quest, objective) => {
+    const target = getTarget(objective);
+    if (isObjectiveComplete(quest, objective)) return target;
+    if (target === 1) return 0;
+    const stored = Math.floor(Number(StorageManager.get(getCountKey(quest.id, objective.id), 0)) || 0);
+    return Utils.clamp(stored, 0, target - 1);
   };
 
-  const updateMaterial = (input) => {
-    const { storageKey } = input.dataset;
-    const max = Number(input.max);
-    const value = Utils.clamp(Number(input.value) || 0, 0, max);
-    input.value = value;
-    StorageManager.set(storageKey, value);
+  const setObjectiveCount = (quest, objective, value) => {
+    const target = getTarget(objective);
+    const count = Utils.clamp(Math.floor(Number(value) || 0), 0, target);
+    if (target > 1) StorageManager.set(getCountKey(quest.id, objective.id), count, { debounce: 0 });
+    StorageManager.set(MaterialPlanner.getObjectiveKey(quest.id, objective.id), count === target, { debounce: 0 });
+    return count;
+  };
 
-    const row = input.closest('.resource-item');
-    if (!row) return;
+  // Progress is weighted by counts, so "Obtain 6 Wires" outweighs a visit.
+  // Floored so a quest only shows 100% once every objective is done.
+  const getProgress = (quest) => {
+    const total = Utils.sum(quest.objectives.map(getTarget));
+    if (!total) return 0;
+    const done = Utils.sum(quest.objectives.map((objective) => getObjectiveCount(quest, objective)));
+    return Math.floor((done / total) * 100);
+  };
 
-    const remaining = Math.max(max - value, 0);
-    const percentage = max ? (value / max) * 100 : 0;
-    row.dataset.current = value;
-    row.dataset.remaining = remaining;
-    row.classList.toggle('complete', remaining === 0);
+  const isComplete = (quest) =>
+    quest.objectives.length > 0 && quest.objectives.every((objective) => isObjectiveComplete(quest, objective));
 
-    const haveLabel = row.querySelector('.resource-have');
-    if (haveLabel) haveLabel.textContent = value;
+  const QUEST_STATUSES = {
+    'not-started': 'Not started',
+    'in-progress': 'In progress',
+    complete: 'Complete'
+  };
 
-    const progressBar = row.querySelector('.resource-progress span');
-    if (progressBar) progressBar.style.width = `${percentage}%`;
+  // How far the player got, regardless of whether the quest is unlocked.
+  const getStatus = (quest) => {
+    if (isComplete(quest)) return 'complete';
+    return quest.objectives.some((objective) => getObjectiveCount(quest, objective) > 0) ? 'in-progress' : 'not-started';
+  };
 
-    const levelCard = row.closest('.station-level');
-    if (!levelCard) return;
+  // A quest is available once every prerequisite is complete; finished quests
+  // stay complete even if an earlier quest was reset afterwards.
+  const getState = (quest) => {
+    if (isComplete(quest)) return 'complete';
+    return getPrerequisites(quest.id).every(isComplete) ? 'available' : 'locked';
+  };
 
-    const trackableRows = Array.from(levelCard.querySelectorAll('.resource-item.trackable'));
-    const totals = trackableRows.reduce(
-      (acc, item) => {
-        const required = Number(item.dataset.required || 0);
-        const current = Math.min(Number(item.dataset.current || 0), required);
-        return {
-          required: acc.required + required,
-          remaining: acc.remaining + Math.max(required - current, 0)
-        };
-      },
-      { required: 0, remaining: 0 }
+  // Quests grouped by trader in unlock order, traders in order of first quest.
+  const listChains = () => {
+    const chains = new Map();
+    DataRepository.quests.forEach((quest) => {
+      if (!chains.has(quest.trader)) chains.set(quest.trader, []);
+      chains.get(quest.trader).push(quest);
+    });
+    return Array.from(chains, ([trader, list]) => ({ trader, quests: list }));
+  };
+
+  const listAvailable = () => DataRepository.quests.filter((quest) => getState(quest) === 'available');
+
+  const REWARD_PATTERN = /^(\d+)x\s+(.+)$/;
+  const SEARCH_FIELDS = ['map', 'trader', 'reward'];
+  const SEARCH_TOKEN = /(\w+):"([^"]*)"|(\w+):(\S+)|"([^"]*)"|(\S+)/g;
+
+  // Rewards are { item, quantity } entries; plain "3x Item" strings still parse.
+  const getRewards = (quest) =>
+    (quest.rewards ?? []).map((reward) => {
+      if (typeof reward !== 'string') return { quantity: 1, ...reward };
+      const match = REWARD_PATTERN.exec(reward.trim());
+      return match ? { item: match[2].trim(), quantity: Number(match[1]) } : { item: reward.trim(), quantity: 1 };
+    });
+
+  const getRewardKey = (questId) => Utils.formatKey('quest', questId, 'rewards');
+
+  // Only materials the tracker keeps an inventory for can be credited.
+  const getCreditableRewards = (quest) =>
+    getRewards(quest).filter((reward) => reward.type !== 'cosmetic' && MaterialPlanner.isKnownMaterial(reward.item));
+
+  // Credited rewards are recorded per item, so a partial claim leaves the
+  // rest of the quest's rewards claimable later.
+  const getCreditedItems = (quest) => {
+    const credited = StorageManager.get(getRewardKey(quest.id), {});
+    return credited && typeof credited === 'object' ? credited : {};
+  };
+
+  const getUnclaimedRewards = (quest) => {
+    const credited = getCreditedItems(quest);
+    return getCreditableRewards(quest).filter((reward) => credited[reward.item] !== true);
+  };
+
+  const isRewardCredited = (quest) => !getUnclaimedRewards(quest).length;
+
+  // Returns false when there was nothing to credit.
+  const creditRewards = (quest, rewards = getUnclaimedRewards(quest)) => {
+    if (!rewards.length) return false;
+    rewards.forEach((reward) => {
+      MaterialPlanner.setOwned(reward.item, MaterialPlanner.getOwned(reward.item) + reward.quantity, { debounce: 0 });
+    });
+    StorageManager.set(
+      getRewardKey(quest.id),
+      { ...getCreditedItems(quest), ...Object.fromEntries(rewards.map((reward) => [reward.item, true])) },
+      { debounce: 0 }
     );
+    return true;
+  };
 
-    const newRemaining = totals.remaining;
-    const progress = totals.required
-      ? Math.round(((totals.required - newRemaining) / totals.required) * 100)
-      : 100;
+  // Quests listed on "Multiple" maps can be done on any of them.
+  const ANY_MAP = 'Multiple';
+
+  const isOnMap = (quest, map) => !quest.maps.length || quest.maps.includes(ANY_MAP) || quest.maps.includes(map);
+
+  // Maps with artwork first, then any other map a quest mentions.
+  const listMaps = () =>
+    Array.from(
+      new Set([...Object.keys(DataRepository.mapVisuals ?? {}), ...DataRepository.quests.flatMap((quest) => quest.maps)])
+    ).filter((map) => map !== ANY_MAP);
+
+  // Open objectives of the quests that can be done on one map, grouped by
+  // quest. Locked quests are left out unless asked for.
+  const collectMapObjectives = (map, { includeLocked = false } = {}) =>
+    DataRepository.quests
+      .filter((quest) => isOnMap(quest, map))
+      .map((quest) => ({
+        quest,
+        state: getState(quest),
+        objectives: quest.objectives
+          .map((objective) => ({ objective, count: getObjectiveCount(quest, objective), target: getTarget(objective) }))
+          .filter((entry) => entry.count < entry.target)
+      }))
+      .filter((entry) => entry.objectives.length && (includeLocked || entry.state !== 'locked'));
+
+  // Splits a search query into free-text terms and field tokens such as
+  // map:"Buried City", trader:Shani or reward:shield. Unknown fields are
+  // searched as plain text.
+  const parseQuery = (query = '') => {
+    const parsed = { terms: [], map: [], trader: [], reward: [] };
+    Array.from(query.matchAll(SEARCH_TOKEN)).forEach(([, quotedField, quotedValue, field, value, phrase, word]) => {
+      const key = (quotedField ?? field)?.toLowerCase();
+      const text = (quotedValue ?? value ?? phrase ?? word).trim().toLowerCase();
+      if (!text) return;
+      if (SEARCH_FIELDS.includes(key)) parsed[key].push(text);
+      else parsed.terms.push(key ? `${key}:${text}` : text);
+    });
+    return parsed;
+  };
 
-    levelCard.dataset.totalRemaining = newRemaining;
-    levelCard.dataset.totalRequired = totals.required;
+  // Free terms match the name, trader, objectives, rewards or maps; field
+  // tokens only match their own field. Every term has to match.
+  const matchesQuery = (quest, parsed) => {
+    const rewards = getRewards(quest).map((reward) => reward.item.toLowerCase());
+    const fields = {
+      map: quest.maps.map((map) => map.toLowerCase()),
+      trader: [quest.trader.toLowerCase()],
+      reward: rewards
+    };
+    const text = [
+      quest.name,
+      quest.trader,
+      ...quest.objectives.flatMap((objective) => [objective.text, objective.item ?? '']),
+      ...rewards,
+      ...quest.maps
+    ]
+      .join('\n')
+      .toLowerCase();
+    return (
+      parsed.terms.every((term) => text.includes(term)) &&
+      SEARCH_FIELDS.every((field) => parsed[field].every((term) => fields[field].some((value) => value.includes(term))))
+    );
+  };
 
-    const progressBarEl = levelCard.querySelector('.station-level-progress-bar span');
-    if (progressBarEl) progressBarEl.style.width = `${progress}%`;
-    const progressValue = levelCard.querySelector('.station-level-progress-value');
-    if (progressValue) progressValue.textContent = `${progress}% complete`;
+  // Rewards of every incomplete quest, summed per item.
+  const collectOutstandingRewards = () => {
+    const byItem = new Map();
+    DataRepository.quests
+      .filter((quest) => !isComplete(quest))
+      .forEach((quest) => {
+        getRewards(quest).forEach((reward) => {
+          const entry = byItem.get(reward.item) ?? { item: reward.item, type: reward.type, quantity: 0, quests: [] };
+          entry.quantity += reward.quantity;
+          entry.quests.push(quest);
+          byItem.set(reward.item, entry);
+        });
+      });
+    return Array.from(byItem.values());
+  };
 
-    const status = levelCard.querySelector('.station-level-status');
-    if (status) {
-      const ready = totals.required === 0 ? true : newRemaining === 0;
-      status.classList.toggle('station-level-status--ready', ready);
-      status.classList.toggle('station-level-status--missing', !ready);
-      status.innerHTML = buildStatusMarkup(newRemaining, totals.required);
-    }
+  // Totals for one trader: quests finished, weighted objective progress, the
+  // first quest that can be started and, failing that, what blocks the chain.
+  const summarizeTrader = (trader) => {
+    const list = DataRepository.quests.filter((quest) => quest.trader === trader);
+    const objectives = list.flatMap((quest) => quest.objectives.map((objective) => ({ quest, objective })));
+    const target = Utils.sum(objectives.map(({ objective }) => getTarget(objective)));
+    const done = Utils.sum(objectives.map(({ quest, objective }) => getObjectiveCount(quest, objective)));
+    const next = list.find((quest) => getState(quest) === 'available') ?? null;
+    const locked = next ? null : list.find((quest) => getState(quest) === 'locked') ?? null;
+    return {
+      trader,
+      total: list.length,
+      completed: list.filter(isComplete).length,
+      objectivePercent: target ? Math.floor((done / target) * 100) : 0,
+      next,
+      blockedBy: locked ? getPrerequisites(locked.id).filter((parent) => !isComplete(parent)) : []
+    };
+  };
 
-    const wasComplete = levelCard.classList.contains('complete');
-    const isComplete = totals.required === 0 ? true : newRemaining === 0;
-    levelCard.classList.toggle('complete', isComplete);
+  return {
+    OBJECTIVE_TYPES,
+    getQuest,
+    getPrerequisites,
+    isObjectiveComplete,
+    getTarget,
+    getCountKey,
+    getObjectiveCount,
+    setObjectiveCount,
+    getProgress,
+    isComplete,
+    QUEST_STATUSES,
+    getStatus,
+    getState,
+    listChains,
+    listAvailable,
+    summarizeTrader,
+    getRewards,
+    getRewardKey,
+    isRewardCredited,
+    getCreditableRewards,
+    getUnclaimedRewards,
+    creditRewards,
+    collectOutstandingRewards,
+    SEARCH_FIELDS,
+    parseQuery,
+    matchesQuery,
+    isOnMap,
+    listMaps,
+    collectMapObjectives
+  };
+})();
 
-    if (!wasComplete && isComplete && totals.required > 0 && trackableRows.length > 0) {
-      const stationName = levelCard.dataset.stationName || 'Workshop';
-      const levelNumber = Number(levelCard.dataset.levelNumber || 0);
-      const levelLabel = Utils.toRoman(levelNumber) || `Level ${levelNumber}`;
-      Notifier.push(`${stationName} ${levelLabel} complete!`);
+// StorageMigrations registers the upgrade steps that bring older saves up to
+// the current storage schema. Each migration runs once per profile.
+const StorageMigrations = (() => {
+  // Objective ids in the order version 1 saves addressed them by index.
+  // Frozen here so later reordering of DataRepository.quests cannot remap them.
+  const LEGACY_OBJECTIVE_ORDER = {
+    'picking-up-the-pieces': ['visit-area-map-loot', 'loot-containers'],
+    'clearer-skies': ['destroy-arc-enemies', 'get-arc-alloy-shani'],
+    'trash-into-treasure': ['obtain-wires', 'obtain-battery'],
+    'off-the-radar': ['visit-field-depot', 'repair-antenna-roof-field'],
+    'a-bad-feeling': ['find-search-arc-probe'],
+    'the-right-tool': ['destroy-fireball', 'destroy-hornet', 'destroy-turret'],
+    'hatch-repairs': ['repair-leaking-hydraulic-pipes', 'search-hatch-key-raider'],
+    'safe-passage': ['destroy-arc-enemies-using'],
+    'down-to-earth': ['visit-field-depot', 'deliver-field-crate-supply', 'collect-reward'],
+    'the-trifecta': ['destroy-hornet', 'get-hornet-driver-shani', 'destroy-snitch', 'get-snitch-scanner-shani', 'destroy-wasp', 'get-wasp-driver-shani'],
+    'a-better-use': ['request-supply-drop-call', 'loot-supply-drop'],
+    'what-goes-around': ['destroy-arc-enemy-using'],
+    'sparks-fly': ['destroy-hornet-trigger-nade'],
+    'greasing-her-palms': ['dam-battlegrounds-visit-locked', 'spaceport-scope-out-rocket', 'buried-city-visit-barricaded'],
+    'a-first-foothold': ['stabilize-observation-deck-ridgeline', 'enable-comms-terminal-olive', 'rotate-satellite-dishes-church', 'nail-down-roof-plates'],
+    'dormant-barons': ['loot-baron-husk'],
+    'mixed-signals': ['destroy-arc-surveyor', 'obtain-surveyor-vault'],
+    'doctor-s-orders': ['obtain-antiseptic', 'obtain-syringe', 'obtain-durable-cloth', 'obtain-great-mullein'],
+    'medical-merchandise': ['spaceport-search-containers-departure', 'search-containers-hospital-buried', 'dam-battlegrounds-search-containers'],
+    'a-reveal-in-ruins': ['search-esr-analyzer-pharmacy', 'deliver-esr-analyzer-lance'],
+    'broken-monument': ['reach-hallowed-grounds-scrap', 'search-compass-broken-down', 'search-video-tape-cylindrical', 'search-old-field-rations', 'deliver-first-wave-tape', 'deliver-first-wave-compass', 'deliver-first-wave-rations'],
+    'marked-for-death': ['reach-su-durante-warehouses'],
+    'straight-record': ['reach-victory-ridge', 'find-old-emp-trap', 'disable-first-power-switch', 'disable-second-power-switch', 'disable-third-power-switch', 'shutdown-emp-trap'],
+    'a-lay-of-the-land': ['reach-jiangsu-warehouse', 'find-shipping-notes-foremans', 'locate-scanners-upper-floor', 'deliver-lidar-scanners-shani']
+  };
+
+  // v2: per-level "have" counts become one shared inventory, seeded with the
+  // highest count entered for each material.
+  const seedSharedInventory = () => {
+    if (StorageManager.get('inventory:seeded', false)) {
+      StorageManager.remove('inventory:seeded');
+      return;
     }
+    const seeded = new Map();
+    DataRepository.workshopStations.forEach((station) => {
+      (station.levels ?? []).forEach((level) => {
+        (level.materials ?? []).forEach((material) => {
+          const key = MaterialPlanner.getWorkshopKey(station.id, level.level, material.item);
+          const stored = Number(StorageManager.get(key, 0)) || 0;
+          seeded.set(material.item, Math.max(seeded.get(material.item) ?? 0, stored));
+        });
+      });
+    });
+    seeded.forEach((value, item) => {
+      if (value > 0 && !MaterialPlanner.getOwned(item)) MaterialPlanner.setOwned(item, value, { debounce: 0 });
+    });
   };
 
-  const bindInputs = (scope) => {
-    scope.querySelectorAll('input[data-storage-key]').forEach((input) => {
-      input.addEventListener('input', () => updateMaterial(input));
+  // v3: quest objectives are keyed by stable id instead of list position, and
+  // build history is keyed by material id instead of display name.
+  const keyByStableIds = () => {
+    Object.entries(LEGACY_OBJECTIVE_ORDER).forEach(([questId, objectiveIds]) => {
+      objectiveIds.forEach((objectiveId, index) => {
+        const legacyKey = Utils.formatKey('quest', questId, index);
+        const value = StorageManager.get(legacyKey, null);
+        if (value === null) return;
+        StorageManager.set(MaterialPlanner.getObjectiveKey(questId, objectiveId), value, { debounce: 0 });
+        StorageManager.remove(legacyKey);
+      });
+    });
+
+    DataRepository.workshopStations.forEach((station) => {
+      const key = `workshop:${station.id}:consumed`;
+      const history = StorageManager.get(key, null);
+      if (!history) return;
+      const next = {};
+      Object.entries(history).forEach(([level, consumed]) => {
+        next[level] = {};
+        Object.entries(consumed ?? {}).forEach(([item, spent]) => {
+          next[level][MaterialPlanner.getMaterialId(item)] = spent;
+        });
+      });
+      StorageManager.set(key, next, { debounce: 0 });
+    });
+  };
+
+  // v4: quest filters hold lists of traders, maps and statuses instead of a
+  // single trader, a single map and an incomplete-only flag.
+  const listQuestFilters = () => {
+    const filters = StorageManager.get('quest:filters', null);
+    if (!filters || Array.isArray(filters.traders)) return;
+    StorageManager.set(
+      'quest:filters',
+      {
+        search: filters.search ?? '',
+        traders: filters.trader && filters.trader !== 'all' ? [filters.trader] : [],
+        maps: filters.map && filters.map !== 'all' ? [filters.map] : [],
+        statuses: filters.incompleteOnly ? ['not-started', 'in-progress'] : []
+      },
+      { debounce: 0 }
+    );
+  };
+
+  // v5: credited quest rewards are recorded per item instead of one flag for
+  // the whole quest.
+  const creditRewardsPerItem = () => {
+    DataRepository.quests.forEach((quest) => {
+      const key = QuestPlanner.getRewardKey(quest.id);
+      const credited = StorageManager.get(key, null);
+      if (typeof credited !== 'boolean') return;
+      if (!credited) {
+        StorageManager.remove(key);
+        return;
+      }
+      StorageManager.set(
+        key,
+        Object.fromEntries(QuestPlanner.getCreditableRewards(quest).map((reward) => [reward.item, true])),
+        { debounce: 0 }
+      );
+    });
+  };
+
+  // v6: each build history entry keeps the materials spent and the
+  // reservations released, so undoing a build can restore both.
+  const splitBuildHistory = () => {
+    DataRepository.workshopStations.forEach((station) => {
+      const key = `workshop:${station.id}:consumed`;
+      const history = StorageManager.get(key, null);
+      if (!history) return;
+      const next = {};
+      Object.entries(history).forEach(([level, entry]) => {
+        next[level] = entry?.spent ? entry : { spent: entry ?? {}, reserved: {} };
+      });
+      StorageManager.set(key, next, { debounce: 0 });
+    });
+  };
+
+  StorageManager.registerMigration(2, 'Seed shared material inventory', seedSharedInventory);
+  StorageManager.registerMigration(3, 'Key objectives and build history by stable ids', keyByStableIds);
+  StorageManager.registerMigration(4, 'Store quest filters as lists', listQuestFilters);
+  StorageManager.registerMigration(5, 'Record credited quest rewards per item', creditRewardsPerItem);
+  StorageManager.registerMigration(6, 'Keep reservations in build history', splitBuildHistory);
+
+  return { LEGACY_OBJECTIVE_ORDER };
+})();
+
+// ProgressSchema describes every storage key shape the tracker writes, so
+// imported data can be validated, labelled for previews and merged safely.
+const ProgressSchema = (() => {
+  const SECTIONS = {
+    workshop: 'Workshop',
+    quests: 'Quests',
+    skills: 'Skills',
+    theme: 'Theme',
+    filters: 'Filters & preferences'
+  };
+  const stations = new Map(DataRepository.workshopStations.map((station) => [station.id, station]));
+  const quests = new Map(DataRepository.quests.map((quest) => [quest.id, quest]));
+  const skillIds = new Set(DataRepository.skillBranches.flatMap((branch) => branch.nodes.map((node) => node.id)));
+
+  const isCount = (value) => Number.isInteger(value) && value >= 0;
+  const isPlainObject = (value) => Boolean(value) && typeof value === 'object' && !Array.isArray(value);
+
+  const isStringList = (value) => Array.isArray(value) && value.every((entry) => typeof entry === 'string');
+  const findLevel = (stationId, levelNumber) =>
+    (stations.get(stationId)?.levels ?? []).find((level) => String(level.level) === String(levelNumber));
+  const levelName = (stationId, levelNumber) =>
+    `${stations.get(stationId)?.name ?? stationId} · ${findLevel(stationId, levelNumber)?.label ?? `Level ${levelNumber}`}`;
+
+  // Rules are matched in order; the first whose pattern fits a key owns it.
+  // merge: how an incoming value combines with the current one when merging.
+  const rules = [
+    {
+      section: 'meta',
+      pattern: /^schema:version$/,
+      validate: (value) => isCount(value),
+      label: () => 'Schema version',
+      merge: 'keep'
+    },
+    {
+      section: 'workshop',
+      pattern: /^workshop:([a-z0-9-]+):(\d+):([a-z0-9-]+)$/,
+      validate: (value, [, stationId, levelNumber, materialId]) =>
+        isCount(value) &&
+        (findLevel(stationId, levelNumber)?.materials ?? []).some(
+          (material) => MaterialPlanner.getMaterialId(material.item) === materialId
+        ),
+      label: ([, stationId, levelNumber, materialId]) =>
+        `${levelName(stationId, levelNumber)} · ${MaterialPlanner.getMaterialName(materialId)} reserved`,
+      merge: 'max'
+    },
+    {
+      section: 'workshop',
+      pattern: /^workshop:([a-z0-9-]+):built$/,
+      validate: (value, [, stationId]) => stations.has(stationId) && isCount(value),
+      label: ([, stationId]) => `${stations.get(stationId)?.name ?? stationId} built level`,
+      merge: 'max'
+    },
+    {
+      section: 'workshop',
+      pattern: /^workshop:([a-z0-9-]+):consumed$/,
+      validate: (value, [, stationId]) =>
+        stations.has(stationId) &&
+        isPlainObject(value) &&
+        Object.values(value).every(
+          (entry) =>
+            isPlainObject(entry) &&
+            Object.entries(entry).every(
+              ([field, counts]) =>
+                ['spent', 'reserved'].includes(field) && isPlainObject(counts) && Object.values(counts).every(isCount)
+            )
+        ),
+      label: ([, stationId]) => `${stations.get(stationId)?.name ?? stationId} build history`,
+      merge: 'keep'
+    },
+    {
+      section: 'workshop',
+      pattern: /^workshop:([a-z0-9-]+):selectedLevel$/,
+      validate: (value, [, stationId]) => Boolean(findLevel(stationId, value)),
+      label: ([, stationId]) => `${stations.get(stationId)?.name ?? stationId} selected level`,
+      merge: 'keep'
+    },
+    {
+      section: 'workshop',
+      pattern: /^workshop:([a-z0-9-]+):view$/,
+      validate: (value, [, stationId]) => stations.has(stationId) && ['picker', 'timeline'].includes(value),
+      label: ([, stationId]) => `${stations.get(stationId)?.name ?? stationId} layout`,
+      merge: 'keep'
+    },
+    {
+      section: 'workshop',
+      pattern: /^workshop:allocation$/,
+      validate: (value) => ['priority', 'reserve'].includes(value),
+      label: () => 'Allocation mode',
+      merge: 'keep'
+    },
+    {
+      section: 'workshop',
+      pattern: /^workshop:showLevelOne$/,
+      validate: (value) => typeof value === 'boolean',
+      label: () => 'Show level 1 upgrades',
+      merge: 'keep'
+    },
+    {
+      section: 'workshop',
+      pattern: /^inventory:([a-z0-9-]+)$/,
+      validate: (value, [, materialId]) => MaterialPlanner.getMaterialName(materialId) !== materialId && isCount(value),
+      label: ([, materialId]) => `Inventory · ${MaterialPlanner.getMaterialName(materialId)}`,
+      merge: 'max'
+    },
+    {
+      section: 'filters',
+      pattern: /^quest:filters$/,
+      validate: (value) =>
+        isPlainObject(value) &&
+        typeof (value.search ?? '') === 'string' &&
+        ['traders', 'maps', 'statuses'].every((field) => isStringList(value[field] ?? [])) &&
+        (value.statuses ?? []).every((status) => Object.hasOwn(QuestPlanner.QUEST_STATUSES, status)) &&
+        // Pre-v4 single-value filters are converted by migration; this shape
+        // is stale at the current schema version.
+        !['trader', 'map', 'incompleteOnly'].some((field) => Object.hasOwn(value, field)),
+      label: () => 'Quest filters',
+      merge: 'keep'
+    },
+    {
+      section: 'filters',
+      pattern: /^raid:preferences$/,
+      validate: (value) =>
+        isPlainObject(value) &&
+        (value.map === null || value.map === undefined || typeof value.map === 'string') &&
+        typeof (value.includeLocked ?? false) === 'boolean',
+      label: () => 'Raid planner preferences',
+      merge: 'keep'
+    },
+    {
+      section: 'filters',
+      pattern: /^shopping:preferences$/,
+      validate: (value) =>
+        isPlainObject(value) &&
+        ['remaining', 'name'].includes(value.sort ?? 'remaining') &&
+        ['material', 'source'].includes(value.group ?? 'material'),
+      label: () => 'Shopping list preferences',
+      merge: 'keep'
+    },
+    {
+      section: 'quests',
+      pattern: /^quest:([a-z0-9-]+):rewards$/,
+      validate: (value, [, questId]) =>
+        quests.has(questId) &&
+        isPlainObject(value) &&
+        Object.entries(value).every(
+          ([item, credited]) =>
+            credited === true && QuestPlanner.getRewards(quests.get(questId)).some((reward) => reward.item === item)
+        ),
+      label: ([, questId]) => `${quests.get(questId)?.name ?? questId} — rewards added to inventory`,
+      merge: 'union'
+    },
+    {
+      section: 'quests',
+      pattern: /^quest:([a-z0-9-]+):([a-z0-9-]+):count$/,
+      validate: (value, [, questId, objectiveId]) => {
+        const objective = quests.get(questId)?.objectives.find((entry) => entry.id === objectiveId);
+        return Boolean(objective) && isCount(value) && value <= QuestPlanner.getTarget(objective);
+      },
+      label: ([, questId, objectiveId]) => {
+        const quest = quests.get(questId);
+        const objective = quest?.objectives.find((entry) => entry.id === objectiveId);
+        return `${quest?.name ?? questId} — ${objective?.text ?? objectiveId} (count)`;
+      },
+      merge: 'max'
+    },
+    {
+      section: 'quests',
+      pattern: /^quest:([a-z0-9-]+):([a-z0-9-]+)$/,
+      validate: (value, [, questId, objectiveId]) =>
+        typeof value === 'boolean' &&
+        (quests.get(questId)?.objectives ?? []).some((objective) => objective.id === objectiveId),
+      label: ([, questId, objectiveId]) => {
+        const quest = quests.get(questId);
+        const objective = quest?.objectives.find((entry) => entry.id === objectiveId);
+        return `${quest?.name ?? questId} — ${objective?.text ?? objectiveId}`;
+      },
+      merge: 'or'
+    },
+    {
+      section: 'skills',
+      pattern: /^skills:selected$/,
+      validate: (value) =>
+        isPlainObject(value) && Object.entries(value).every(([id, picked]) => skillIds.has(id) && picked === true),
+      label: () => 'Selected skills',
+      merge: 'union'
+    },
+    {
+      section: 'skills',
+      pattern: /^skills:builds$/,
+      validate: (value) =>
+        isPlainObject(value) &&
+        Array.isArray(value.builds) &&
+        value.builds.some((build) => build?.id === value.active) &&
+        value.builds.every(
+          (build) =>
+            isPlainObject(build) &&
+            typeof build.id === 'string' &&
+            typeof build.name === 'string' &&
+            (build.selected === undefined ||
+              (isPlainObject(build.selected) &&
+                Object.entries(build.selected).every(([id, picked]) => skillIds.has(id) && picked === true)))
+        ),
+      label: () => 'Skill builds',
+      merge: 'keep'
+    },
+    {
+      section: 'skills',
+      pattern: /^skills:settings$/,
+      validate: (value) =>
+        isPlainObject(value) &&
+        typeof (value.strict ?? false) === 'boolean' &&
+        ['list', 'graph'].includes(value.view ?? 'list') &&
+        (value.playerLevel === null || value.playerLevel === undefined || isCount(value.playerLevel)),
+      label: () => 'Skill budget settings',
+      merge: 'keep'
+    },
+    {
+      section: 'theme',
+      pattern: /^theme$/,
+      validate: (value) => ['dark', 'light'].includes(value),
+      label: () => 'Theme',
+      merge: 'keep'
+    }
+  ];
+
+  const match = (key) => {
+    for (const rule of rules) {
+      const result = rule.pattern.exec(key);
+      if (result) return { rule, match: result };
+    }
+    return null;
+  };
+
+  // Splits raw key/value data into valid entries and rejected ones with a reason.
+  const validate = (data) => {
+    const entries = [];
+    const invalid = [];
+    Object.entries(data).forEach(([key, value]) => {
+      const found = match(key);
+      if (!found) {
+        invalid.push({ key, reason: 'Unknown key' });
+      } else if (!found.rule.validate(value, found.match)) {
+        invalid.push({ key, reason: 'Unexpected value' });
+      } else {
+        entries.push({ key, value, section: found.rule.section, label: found.rule.label(found.match), rule: found.rule });
+      }
+    });
+    return { entries, invalid };
+  };
+
+  // Combines an incoming value with the current one following the rule's merge strategy.
+  const mergeValue = (rule, current, incoming) => {
+    if (current === null || current === undefined) return incoming;
+    switch (rule.merge) {
+      case 'max':
+        return Math.max(Number(current) || 0, incoming);
+      case 'or':
+        return Boolean(current) || incoming;
+      case 'union':
+        return { ...current, ...incoming };
+      default:
+        return current;
+    }
+  };
+
+  const describe = (key) => {
+    const found = match(key);
+    return found ? { section: found.rule.section, label: found.rule.label(found.match) } : null;
+  };
+
+  return { SECTIONS, validate, mergeValue, describe };
+})();
+
+// Controls theme toggling and persistence between light and dark modes.
+const ThemeController = (() => {
+  const toggleButton = document.getElementById('theme-toggle');
+  const root = document.documentElement;
+  const STORAGE_KEY = 'theme';
+
+  const applyTheme = (theme) => {
+    root.setAttribute('data-theme', theme);
+    toggleButton.innerHTML =
+      theme === 'dark'
+        ? '<i class="fa-solid fa-sun"></i>'
+        : '<i class="fa-solid fa-moon"></i>';
+    toggleButton.setAttribute('aria-pressed', theme === 'dark');
+  };
+
+  let bound = false;
+
+  const init = () => {
+    const saved = StorageManager.get(STORAGE_KEY, 'dark');
+    applyTheme(saved);
+    if (bound) return;
+    bound = true;
+    toggleButton.addEventListener('click', () => {
+      const next = root.getAttribute('data-theme') === 'dark' ? 'light' : 'dark';
+      applyTheme(next);
+      StorageManager.set(STORAGE_KEY, next);
+    });
+  };
+
+  return { init };
+})();
+
+// ProfileView drives the header profile switcher and the profile manager dialog.
+const ProfileView = (() => {
+  const select = document.getElementById('profile-select');
+  const manageButton = document.getElementById('profile-manage');
+
+  const populate = () => {
+    const active = ProfileManager.getActive();
+    select.innerHTML = '';
+    ProfileManager.list().forEach((profile) => {
+      select.appendChild(Utils.createElement('option', { text: profile.name, attrs: { value: profile.id } }));
+    });
+    select.value = active.id;
+  };
+
+  const renderManager = () => {
+    const content = Utils.createElement('div', { className: 'profile-manager' });
+    const list = Utils.createElement('ul', { className: 'profile-list' });
+    const activeId = ProfileManager.getActive().id;
+    const profiles = ProfileManager.list();
+
+    profiles.forEach((profile) => {
+      const row = Utils.createElement('li', {
+        className: `profile-row${profile.id === activeId ? ' active' : ''}`,
+        attrs: { 'data-profile-id': profile.id }
+      });
+      row.innerHTML = `
+        <label>
+          <span class="sr-only">Profile name</span>
+        </label>
+        <div class="profile-actions">
+          ${
+            profile.id === activeId
+              ? '<span class="profile-active-badge"><i class="fa-solid fa-circle-check"></i> Active</span>'
+              : '<button type="button" class="text-button" data-action="switch">Switch</button>'
+          }
+          <button type="button" class="text-button" data-action="duplicate">Duplicate</button>
+          <button type="button" class="text-button" data-action="delete"${profiles.length <= 1 ? ' disabled' : ''}>Delete</button>
+        </div>
+      `;
+
+      // The name is set as a property so quotes or markup in it stay inert.
+      const nameInput = Utils.createElement('input', { attrs: { type: 'text', maxlength: '40' } });
+      nameInput.value = profile.name;
+      row.querySelector('label').appendChild(nameInput);
+      nameInput.addEventListener('change', () => {
+        ProfileManager.rename(profile.id, nameInput.value);
+        populate();
+      });
+
+      row.querySelectorAll('[data-action]').forEach((button) => {
+        button.addEventListener('click', () => {
+          const { action } = button.dataset;
+          if (action === 'switch') {
+            ProfileManager.activate(profile.id);
+            Notifier.push(`Switched to ${profile.name}.`);
+            openManager();
+          } else if (action === 'duplicate') {
+            const copy = ProfileManager.duplicate(profile.id);
+            if (copy) Notifier.push(`Created ${copy.name}.`);
+            populate();
+            openManager();
+          } else if (action === 'delete') {
+            // First click arms the button, second click deletes.
+            if (button.dataset.armed !== 'true') {
+              button.dataset.armed = 'true';
+              button.textContent = 'Confirm delete';
+              return;
+            }
+            if (ProfileManager.remove(profile.id)) Notifier.push(`Deleted ${profile.name}.`);
+            populate();
+            openManager();
+          }
+        });
+      });
+
+      list.appendChild(row);
+    });
+
+    const form = Utils.createElement('form', { className: 'profile-create' });
+    form.innerHTML = `
+      <label>
+        <span class="sr-only">New profile name</span>
+        <input type="text" name="profile-name" placeholder="New profile name" maxlength="40" required />
+      </label>
+      <button type="submit" class="icon-button"><i class="fa-solid fa-user-plus"></i> Create</button>
+    `;
+    form.addEventListener('submit', (event) => {
+      event.preventDefault();
+      const name = form.querySelector('input').value;
+      if (!name.trim()) return;
+      const profile = ProfileManager.create(name);
+      ProfileManager.activate(profile.id);
+      Notifier.push(`Created and switched to ${profile.name}.`);
+      openManager();
+    });
+
+    content.append(list, form);
+    return content;
+  };
+
+  const openManager = () => {
+    Modal.open({ title: 'Profiles', icon: 'fa-users-gear', content: renderManager() });
+  };
+
+  const init = () => {
+    populate();
+    select.addEventListener('change', () => {
+      ProfileManager.activate(select.value);
+      Notifier.push(`Switched to ${ProfileManager.getActive().name}.`);
+    });
+    manageButton.addEventListener('click', openManager);
+    ProfileManager.onChange(populate);
+  };
+
+  return { init };
+})();
+
+// Handles switching between the SPA views while keeping ARIA attributes in sync.
+const NavigationController = (() => {
+  const navButtons = Array.from(document.querySelectorAll('.nav-link'));
+  const sections = Array.from(document.querySelectorAll('.view'));
+
+  const showSection = (targetId) => {
+    let activated = null;
+    sections.forEach((section) => {
+      const isActive = section.id === targetId;
+      section.classList.toggle('active', isActive);
+      if (isActive) {
+        activated = section;
+      }
+      const navButton = navButtons.find((button) => button.dataset.target === section.id);
+      if (navButton) {
+        navButton.classList.toggle('active', isActive);
+        navButton.setAttribute('aria-expanded', String(isActive));
+      }
+    });
+
+    if (activated) {
+      window.requestAnimationFrame(() => {
+        window.scrollTo({ top: 0, behavior: 'smooth' });
+      });
+    }
+  };
+
+  const init = () => {
+    navButtons.forEach((button) => {
+      button.addEventListener('click', () => showSection(button.dataset.target));
+    });
+  };
+
+  return { init, showSection };
+})();
+
+// WorkshopView renders upgrade tracking cards and synchronises material inputs.
+const WorkshopView = (() => {
+  const container = document.getElementById('workshop-grid');
+  const { FALLBACK_MEDIA, getMaterialVisual } = MaterialPlanner;
+
+  const allocationSelect = document.getElementById('workshop-allocation-mode');
+  const levelOneToggle = document.getElementById('workshop-show-level-one');
+  const inventoryList = document.getElementById('inventory-list');
+  const overcommitBanner = document.getElementById('workshop-overcommit');
+  let allocation = null;
+  let bound = false;
+
+  const getAllocation = (station, level, material) =>
+    allocation.allocations.get(MaterialPlanner.getWorkshopKey(station.id, level.level, material.item));
+
+  const calculateLevelTotals = (station, level) => {
+    const trackable = Array.isArray(level.materials)
+      ? level.materials.filter((material) => Number.isFinite(material.quantity))
+      : [];
+    const totalRequired = trackable.reduce((sum, material) => sum + (material.quantity ?? 0), 0);
+    const built = MaterialPlanner.isLevelBuilt(station, level);
+    const totalHave = trackable.reduce((sum, material) => {
+      const allocated = built ? material.quantity : getAllocation(station, level, material)?.allocated ?? 0;
+      return sum + Math.min(allocated, material.quantity ?? 0);
+    }, 0);
+    const totalRemaining = Math.max(totalRequired - totalHave, 0);
+    const progress = totalRequired
+      ? Math.round((totalHave / totalRequired) * 100)
+      : trackable.length
+      ? 0
+      : 100;
+    return { totalRequired, totalHave, totalRemaining, progress };
+  };
+
+  const describeOvercommit = (item) => {
+    const totals = allocation.items.get(item);
+    if (!totals?.overcommitted) return '';
+    return allocation.mode === 'reserve'
+      ? `Over-committed: ${totals.reserved} reserved across upgrades, ${totals.owned} owned`
+      : `Shared stock: ${totals.owned} owned, ${totals.demand} needed across upgrades`;
+  };
+
+  const buildBuiltStatusMarkup = () => `
+      <i class="fa-solid fa-circle-check"></i>
+      <div class="station-level-status-copy">
+        <span class="station-level-status-text">Upgrade built</span>
+      </div>
+    `;
+
+  const buildStatusMarkup = (remaining, required) => {
+    const ready = required === 0 || remaining === 0;
+    return `
+      <i class="fa-solid ${ready ? 'fa-check-double' : 'fa-triangle-exclamation'}"></i>
+      <div class="station-level-status-copy">
+        <span class="station-level-status-text">${ready ? 'Ready to upgrade' : 'Not enough resources'}</span>
+        ${
+          ready
+            ? ''
+            : `<span class="station-level-status-detail">Need <strong>${remaining}</strong> more</span>`
+        }
+      </div>
+    `;
+  };
+
+  const attachImageFallback = (img) => {
+    img.addEventListener(
+      'error',
+      () => {
+        img.src = FALLBACK_MEDIA.image;
+        img.alt = FALLBACK_MEDIA.alt;
+      },
+      { once: true }
+    );
+  };
+
+  const renderResourceRow = (station, level, material) => {
+    const trackable = Number.isFinite(material.quantity);
+    const key = trackable ? MaterialPlanner.getWorkshopKey(station.id, level.level, material.item) : null;
+    const max = trackable ? material.quantity ?? 0 : 0;
+    const built = MaterialPlanner.isLevelBuilt(station, level);
+    const details = trackable && !built ? getAllocation(station, level, material) : null;
+    const have = trackable ? (built ? max : Utils.clamp(details?.allocated ?? 0, 0, max)) : 0;
+    const remaining = trackable ? Math.max(max - have, 0) : 0;
+    const percentage = trackable && max ? (have / max) * 100 : 0;
+    const visual = getMaterialVisual(material.item);
+    const overcommitNote = trackable && details?.overcommitted ? describeOvercommit(material.item) : '';
+
+    const row = Utils.createElement('li', {
+      className: `resource-item${trackable ? ' trackable' : ' info-only'}${trackable && remaining === 0 ? ' complete' : ''}${overcommitNote ? ' overcommitted' : ''}`,
+      attrs: {
+        'data-allocation-key': key,
+        'data-item': material.item,
+        'data-required': trackable ? max : 0,
+        'data-current': trackable ? have : 0,
+        'data-remaining': trackable ? remaining : 0
+      }
+    });
+
+    const haveMarkup = trackable
+      ? `
+          <div class="resource-status">
+            <span class="resource-count">
+              <strong class="resource-have">${have}</strong>
+              <span class="resource-divider">/</span>
+              <span class="resource-total">${max}</span>
+            </span>
+            <div class="resource-progress"><span style="width: ${percentage}%"></span></div>
+            <p class="resource-alert"${overcommitNote ? '' : ' hidden'}>
+              <i class="fa-solid fa-triangle-exclamation"></i> <span>${overcommitNote}</span>
+            </p>
+          </div>
+        `
+      : `
+          <div class="resource-status">
+            ${
+              material.note
+                ? `<p class="resource-note">${material.note}</p>`
+                : '<p class="resource-note">No tracking required.</p>'
+            }
+          </div>
+        `;
+
+    // Priority mode edits the shared pool directly; reserve mode edits how much
+    // of the pool is earmarked for this level. Built levels are locked.
+    const inputMarkup = built
+      ? '<span class="resource-locked" title="Upgrade built"><i class="fa-solid fa-lock"></i></span>'
+      : allocation.mode === 'reserve'
+        ? `<label>
+             <span class="resource-input-label">Reserve</span>
+             <span class="sr-only">${material.item} for ${station.name} ${level.label ?? level.level}</span>
+             <input type="number" min="0" max="${max}" step="1" value="${details?.reserved ?? 0}" data-storage-key="${key}" />
+           </label>`
+        : `<label>
+             <span class="resource-input-label">Owned</span>
+             <span class="sr-only">${material.item}</span>
+             <input type="number" min="0" step="1" value="${MaterialPlanner.getOwned(material.item)}" data-inventory-item="${material.item}" />
+           </label>`;
+
+    row.innerHTML = `
+      <button type="button" class="resource-thumb" data-material-detail="${material.item}" title="What needs ${material.item}?">
+       <img src="${visual.image}"
+     alt="${visual.alt || (material.item + ' item from ARC Raiders')}"
+     loading="lazy" decoding="async" referrerpolicy="no-referrer" />
+      </button>
+      <div class="resource-info">
+        <span class="resource-name">${material.item}</span>
+        ${haveMarkup}
+      </div>
+      ${trackable ? `<div class="resource-input">${inputMarkup}</div>` : ''}
+    `;
+
+    const resourceImg = row.querySelector('img');
+    if (resourceImg) attachImageFallback(resourceImg);
+
+    return row;
+  };
+
+  const renderUnlocks = (level) => {
+    const crafts = Array.isArray(level.crafts) ? level.crafts : [];
+    const functions = Array.isArray(level.functions) ? level.functions : [];
+    const section = Utils.createElement('div', { className: 'station-unlocks' });
+    section.innerHTML = '<h5><i class="fa-solid fa-unlock"></i> Unlocks</h5>';
+
+    if (!crafts.length && !functions.length) {
+      section.appendChild(
+        Utils.createElement('p', { className: 'station-unlocks-empty', text: 'No new unlocks at this level.' })
+      );
+      return section;
+    }
+
+    if (crafts.length) {
+      const list = Utils.createElement('ul', {
+        className: 'unlock-crafts',
+        attrs: { 'aria-label': 'Craftable items' }
+      });
+      crafts.forEach((craft) => list.appendChild(Utils.createElement('li', { className: 'unlock-chip', text: craft })));
+      section.appendChild(list);
+    }
+
+    if (functions.length) {
+      const list = Utils.createElement('ul', {
+        className: 'unlock-functions',
+        attrs: { 'aria-label': 'Station functions' }
+      });
+      functions.forEach((entry) => list.appendChild(Utils.createElement('li', { text: entry })));
+      section.appendChild(list);
+    }
+
+    return section;
+  };
+
+  const renderHero = (station) => {
+    if (!station.image) return null;
+    const figure = Utils.createElement('figure', {
+      className: 'station-hero',
+      html: `<img src="${station.image}" alt="${station.imageAlt ?? `${station.name} from ARC Raiders`}" loading="lazy" decoding="async" referrerpolicy="no-referrer" />`
+    });
+    attachImageFallback(figure.querySelector('img'));
+    return figure;
+  };
+
+  // Small carousel that shows one gallery slide at a time with prev/next controls.
+  const renderGallery = (station) => {
+    const slides = Array.isArray(station.gallery) ? station.gallery.filter((slide) => slide?.url) : [];
+    if (!slides.length) return null;
+
+    const gallery = Utils.createElement('div', {
+      className: 'station-gallery',
+      attrs: { role: 'region', 'aria-roledescription': 'carousel', 'aria-label': `${station.name} gallery` }
+    });
+    const track = Utils.createElement('div', { className: 'station-gallery-track' });
+    slides.forEach((slide, index) => {
+      const figure = Utils.createElement('figure', {
+        className: `station-gallery-slide${index === 0 ? ' active' : ''}`,
+        attrs: { 'aria-roledescription': 'slide', 'aria-label': `${index + 1} of ${slides.length}` },
+        html: `<img src="${slide.url}" alt="${slide.alt ?? ''}" loading="lazy" decoding="async" referrerpolicy="no-referrer" />`
+      });
+      attachImageFallback(figure.querySelector('img'));
+      track.appendChild(figure);
+    });
+    gallery.appendChild(track);
+
+    if (slides.length > 1) {
+      const controls = Utils.createElement('div', {
+        className: 'station-gallery-controls',
+        html: `
+          <button type="button" class="icon-button" data-gallery-step="-1" aria-label="Previous image">
+            <i class="fa-solid fa-chevron-left"></i>
+          </button>
+          <span class="station-gallery-counter" aria-live="polite">1 / ${slides.length}</span>
+          <button type="button" class="icon-button" data-gallery-step="1" aria-label="Next image">
+            <i class="fa-solid fa-chevron-right"></i>
+          </button>
+        `
+      });
+      const counter = controls.querySelector('.station-gallery-counter');
+      let current = 0;
+      controls.querySelectorAll('[data-gallery-step]').forEach((button) => {
+        button.addEventListener('click', () => {
+          current = (current + Number(button.dataset.galleryStep) + slides.length) % slides.length;
+          Array.from(track.children).forEach((slide, index) => slide.classList.toggle('active', index === current));
+          counter.textContent = `${current + 1} / ${slides.length}`;
+        });
+      });
+      gallery.appendChild(controls);
+    }
+
+    return gallery;
+  };
+
+  const LEVEL_STATE_LABELS = {
+    completed: { icon: 'fa-circle-check', text: 'Built' },
+    current: { icon: 'fa-hammer', text: 'Current' },
+    locked: { icon: 'fa-lock', text: 'Locked' }
+  };
+
+  const renderLevelCard = (station, level) => {
+    const { totalRequired, totalRemaining, progress } = calculateLevelTotals(station, level);
+    const state = MaterialPlanner.getLevelState(station, level);
+    const roman = Utils.toRoman(level.level);
+    const levelCard = Utils.createElement('article', {
+      className: `station-level station-level--${state}${totalRemaining === 0 || totalRequired === 0 ? ' complete' : ''}`,
+      attrs: {
+        'data-station-id': station.id,
+        'data-station-name': station.name,
+        'data-level-number': level.level,
+        'data-level-id': String(level.level),
+        'data-level-state': state,
+        'data-total-required': totalRequired,
+        'data-total-remaining': totalRemaining
+      }
+    });
+
+    const levelLabel = level.label ?? `Level ${level.level}`;
+    const levelIndex = roman || level.level;
+    const stateLabel = LEVEL_STATE_LABELS[state];
+
+    const header = Utils.createElement('header', { className: 'station-level-headline' });
+    header.innerHTML = `
+      <div class="station-level-heading">
+        <span class="station-level-index">${levelIndex}</span>
+        <h4 class="station-level-title">${levelLabel}</h4>
+        <span class="station-level-state"><i class="fa-solid ${stateLabel.icon}"></i> ${stateLabel.text}</span>
+      </div>
+      <div class="station-level-progress">
+        <div class="station-level-progress-bar"><span style="width: ${progress}%"></span></div>
+        <span class="station-level-progress-value">${progress}% complete</span>
+      </div>
+    `;
+
+    const resourcesSection = Utils.createElement('div', { className: 'station-resources' });
+    resourcesSection.innerHTML = '<h5><i class="fa-solid fa-boxes-stacked"></i> Required Resources</h5>';
+
+    const list = Utils.createElement('ul', { className: 'resource-list' });
+    const materials = Array.isArray(level.materials) ? level.materials : [];
+    if (materials.length) {
+      materials.forEach((material) => {
+        const row = renderResourceRow(station, level, material);
+        list.appendChild(row);
+      });
+    } else {
+      list.appendChild(
+        Utils.createElement('li', {
+          className: 'resource-empty',
+          text: 'No materials required for this level.'
+        })
+      );
+    }
+    resourcesSection.appendChild(list);
+
+    const status = Utils.createElement('div', {
+      className: `station-level-status ${totalRemaining === 0 || totalRequired === 0 ? 'station-level-status--ready' : 'station-level-status--missing'}`,
+      html: state === 'completed' ? buildBuiltStatusMarkup() : buildStatusMarkup(totalRemaining, totalRequired)
+    });
+
+    levelCard.append(header, resourcesSection, renderUnlocks(level), status);
+
+    if (state === 'current') {
+      const buildButton = Utils.createElement('button', {
+        className: 'icon-button station-level-build',
+        html: '<i class="fa-solid fa-hammer"></i> Mark as built',
+        attrs: { type: 'button' }
+      });
+      buildButton.addEventListener('click', () => markBuilt(station, level));
+      levelCard.appendChild(buildButton);
+    } else if (state === 'completed' && Number(level.level) === MaterialPlanner.getBuiltLevel(station)) {
+      const undoButton = Utils.createElement('button', {
+        className: 'text-button station-level-undo',
+        html: '<i class="fa-solid fa-rotate-left"></i> Undo build and refund materials',
+        attrs: { type: 'button' }
+      });
+      undoButton.addEventListener('click', () => undoBuild(station, level));
+      levelCard.appendChild(undoButton);
+    }
+
+    return levelCard;
+  };
+
+  const getConsumedKey = (station) => `workshop:${station.id}:consumed`;
+
+  // Spends the level's materials from the shared inventory, remembering what
+  // was taken and which reservations were released so an undo restores both.
+  const consumeMaterials = (station, level) => {
+    const spent = {};
+    const reserved = {};
+    (level.materials ?? [])
+      .filter((material) => Number.isFinite(material.quantity))
+      .forEach((material) => {
+        const materialId = MaterialPlanner.getMaterialId(material.item);
+        const owned = MaterialPlanner.getOwned(material.item);
+        spent[materialId] = Math.min(owned, material.quantity);
+        MaterialPlanner.setOwned(material.item, owned - spent[materialId], { debounce: 0 });
+        const reserveKey = MaterialPlanner.getWorkshopKey(station.id, level.level, material.item);
+        const reservation = Number(StorageManager.get(reserveKey, 0)) || 0;
+        if (reservation) reserved[materialId] = reservation;
+        StorageManager.set(reserveKey, 0, { debounce: 0 });
+      });
+    const history = StorageManager.get(getConsumedKey(station), {});
+    history[level.level] = { spent, reserved };
+    StorageManager.set(getConsumedKey(station), history, { debounce: 0 });
+  };
+
+  const commitBuild = (station, level) => {
+    consumeMaterials(station, level);
+    StorageManager.set(MaterialPlanner.getBuiltKey(station.id), Number(level.level), { debounce: 0 });
+    const next = MaterialPlanner.getTrackedLevels(station).find(
+      (entry) => Number(entry.level) > Number(level.level)
+    );
+    if (next) {
+      StorageManager.set(getSelectedLevelKey(station), String(next.level), { debounce: 0 });
+    }
+    Notifier.push(`${station.name} ${level.label ?? `Level ${level.level}`} built!`);
+    rerenderStation(station);
+  };
+
+  const markBuilt = (station, level) => {
+    const { totalRemaining } = calculateLevelTotals(station, level);
+    if (!totalRemaining) {
+      commitBuild(station, level);
+      return;
+    }
+    Modal.open({
+      title: `Build ${station.name}?`,
+      icon: 'fa-hammer',
+      content: Utils.createElement('p', {
+        text: `You are still ${totalRemaining} materials short for ${level.label ?? `Level ${level.level}`}. Mark it as built anyway and spend whatever you have?`
+      }),
+      actions: [
+        { label: 'Cancel' },
+        { label: 'Mark as built', primary: true, onClick: () => commitBuild(station, level) }
+      ]
+    });
+  };
+
+  const undoBuild = (station, level) => {
+    const history = StorageManager.get(getConsumedKey(station), {});
+    const { spent = {}, reserved = {} } = history[level.level] ?? {};
+    Object.entries(spent).forEach(([materialId, count]) => {
+      const item = MaterialPlanner.getMaterialName(materialId);
+      MaterialPlanner.setOwned(item, MaterialPlanner.getOwned(item) + Number(count || 0), { debounce: 0 });
+    });
+    Object.entries(reserved).forEach(([materialId, count]) => {
+      const key = MaterialPlanner.getWorkshopKey(station.id, level.level, MaterialPlanner.getMaterialName(materialId));
+      StorageManager.set(key, Number(count) || 0, { debounce: 0 });
+    });
+    delete history[level.level];
+    StorageManager.set(getConsumedKey(station), history, { debounce: 0 });
+
+    const previous = MaterialPlanner.getTrackedLevels(station)
+      .filter((entry) => Number(entry.level) < Number(level.level))
+      .pop();
+    StorageManager.set(MaterialPlanner.getBuiltKey(station.id), previous ? Number(previous.level) : 0, {
+      debounce: 0
+    });
+    StorageManager.set(getSelectedLevelKey(station), String(level.level), { debounce: 0 });
+    Notifier.push(`${station.name} ${level.label ?? `Level ${level.level}`} build undone.`);
+    rerenderStation(station);
+  };
+
+  const rerenderStation = (station) => {
+    const existing = container.querySelector(`.station-card[data-station-id="${station.id}"]`);
+    const card = renderStation(station);
+    if (existing && card) {
+      existing.replaceWith(card);
+      bindInputs(card);
+    } else if (existing) {
+      existing.remove();
+    }
+    refresh();
+  };
+
+  const describeBuiltLevel = (station) => {
+    const builtLevel = MaterialPlanner.getBuiltLevel(station);
+    const level = (station.levels ?? []).find((entry) => Number(entry.level) === builtLevel);
+    if (!level) return '<i class="fa-solid fa-circle-minus"></i> Not built yet';
+    return `<i class="fa-solid fa-circle-check"></i> Built: ${level.label ?? `Level ${level.level}`}`;
+  };
+
+  const getSelectedLevelKey = (station) => `workshop:${station.id}:selectedLevel`;
+
+  const getViewModeKey = (station) => `workshop:${station.id}:view`;
+
+  const renderStation = (station) => {
+    const trackedLevels = MaterialPlanner.getTrackedLevels(station);
+
+    if (!trackedLevels.length) {
+      return null;
+    }
+
+    const card = Utils.createElement('section', {
+      className: 'station-card',
+      attrs: {
+        'data-station-id': station.id,
+        'data-station-name': station.name
+      }
+    });
+
+    if (station.accentColor) {
+      card.style.setProperty('--station-accent', station.accentColor);
+    }
+
+    const header = Utils.createElement('div', { className: 'station-header' });
+    header.innerHTML = `
+      <div class="station-headline">
+        <span class="station-meta"><i class="fa-solid ${station.icon}"></i> Workshop Station</span>
+        <h3 class="station-title">${station.name}</h3>
+        <span class="station-built-level">${describeBuiltLevel(station)}</span>
+      </div>
+    `;
+
+    const levels = Utils.createElement('div', { className: 'station-levels' });
+    trackedLevels.forEach((level) => {
+      const levelCard = renderLevelCard(station, level);
+      levels.appendChild(levelCard);
+    });
+
+    let select = null;
+    let viewToggle = null;
+    if (trackedLevels.length > 1) {
+      const selector = Utils.createElement('label', {
+        className: 'station-level-selector',
+        html: `
+          <span class="selector-label">Level</span>
+          <select class="station-level-picker" aria-label="Select upgrade level for ${station.name}"></select>
+        `
+      });
+
+      select = selector.querySelector('select');
+      trackedLevels.forEach((level) => {
+        const option = document.createElement('option');
+        option.value = String(level.level);
+        option.textContent = level.label ? level.label : `Level ${Utils.toRoman(level.level) || level.level}`;
+        select.appendChild(option);
+      });
+
+      viewToggle = Utils.createElement('button', {
+        className: 'icon-button station-view-toggle',
+        attrs: { type: 'button', 'aria-pressed': 'false', 'aria-label': `Show ${station.name} upgrade timeline` },
+        html: '<i class="fa-solid fa-timeline"></i>'
+      });
+
+      const controls = Utils.createElement('div', { className: 'station-controls' });
+      controls.append(selector, viewToggle);
+      header.appendChild(controls);
+    }
+
+    const storageKey = getSelectedLevelKey(station);
+    const currentLevel =
+      trackedLevels.find((level) => MaterialPlanner.getLevelState(station, level) === 'current') ??
+      trackedLevels[trackedLevels.length - 1];
+    const storedLevel = StorageManager.get(storageKey, String(currentLevel.level));
+
+    const updateVisibleLevel = (levelValue) => {
+      const target = trackedLevels.find((level) => String(level.level) === levelValue);
+      const fallbackValue = String(currentLevel.level);
+      const finalValue = target ? levelValue : fallbackValue;
+      Array.from(levels.children).forEach((node) => {
+        const isActive = node.getAttribute('data-level-id') === finalValue;
+        node.classList.toggle('active', isActive);
+      });
+      if (select && select.value !== finalValue) {
+        select.value = finalValue;
+      }
+    };
+
+    const initialLevel = String(storedLevel);
+    updateVisibleLevel(initialLevel);
+
+    if (select) {
+      select.value = initialLevel;
+      select.addEventListener('change', (event) => {
+        const value = event.target.value;
+        StorageManager.set(storageKey, value);
+        updateVisibleLevel(value);
+      });
+    }
+
+    // Timeline mode lays every level out in order instead of one at a time.
+    const applyViewMode = (mode) => {
+      const isTimeline = mode === 'timeline';
+      levels.classList.toggle('timeline', isTimeline);
+      if (select) select.disabled = isTimeline;
+      if (viewToggle) viewToggle.setAttribute('aria-pressed', String(isTimeline));
+    };
+
+    applyViewMode(StorageManager.get(getViewModeKey(station), 'picker'));
+    if (viewToggle) {
+      viewToggle.addEventListener('click', () => {
+        const next = levels.classList.contains('timeline') ? 'picker' : 'timeline';
+        StorageManager.set(getViewModeKey(station), next);
+        applyViewMode(next);
+      });
+    }
+
+    const media = [renderHero(station), renderGallery(station)].filter(Boolean);
+    if (media.length) {
+      const mediaRow = Utils.createElement('div', { className: 'station-media' });
+      mediaRow.append(...media);
+      card.append(header, mediaRow, levels);
+    } else {
+      card.append(header, levels);
+    }
+    return card;
+  };
+
+  const updateRow = (row) => {
+    const details = allocation.allocations.get(row.dataset.allocationKey);
+    if (!details) return;
+    const max = details.required;
+    const value = Utils.clamp(details.allocated, 0, max);
+    const remaining = Math.max(max - value, 0);
+    const percentage = max ? (value / max) * 100 : 0;
+    row.dataset.current = value;
+    row.dataset.remaining = remaining;
+    row.classList.toggle('complete', remaining === 0);
+
+    const haveLabel = row.querySelector('.resource-have');
+    if (haveLabel) haveLabel.textContent = value;
+
+    const progressBar = row.querySelector('.resource-progress span');
+    if (progressBar) progressBar.style.width = `${percentage}%`;
+
+    const note = details.overcommitted ? describeOvercommit(details.item) : '';
+    row.classList.toggle('overcommitted', Boolean(note));
+    const alert = row.querySelector('.resource-alert');
+    if (alert) {
+      alert.hidden = !note;
+      alert.querySelector('span').textContent = note;
+    }
+  };
+
+  const updateLevelCard = (levelCard) => {
+    const trackableRows = Array.from(levelCard.querySelectorAll('.resource-item.trackable'));
+    const totals = trackableRows.reduce(
+      (acc, item) => {
+        const required = Number(item.dataset.required || 0);
+        const current = Math.min(Number(item.dataset.current || 0), required);
+        return {
+          required: acc.required + required,
+          remaining: acc.remaining + Math.max(required - current, 0)
+        };
+      },
+      { required: 0, remaining: 0 }
+    );
+
+    const newRemaining = totals.remaining;
+    const progress = totals.required
+      ? Math.round(((totals.required - newRemaining) / totals.required) * 100)
+      : 100;
+
+    levelCard.dataset.totalRemaining = newRemaining;
+    levelCard.dataset.totalRequired = totals.required;
+
+    const progressBarEl = levelCard.querySelector('.station-level-progress-bar span');
+    if (progressBarEl) progressBarEl.style.width = `${progress}%`;
+    const progressValue = levelCard.querySelector('.station-level-progress-value');
+    if (progressValue) progressValue.textContent = `${progress}% complete`;
+
+    const status = levelCard.querySelector('.station-level-status');
+    if (status) {
+      const ready = totals.required === 0 ? true : newRemaining === 0;
+      status.classList.toggle('station-level-status--ready', ready);
+      status.classList.toggle('station-level-status--missing', !ready);
+      status.innerHTML = buildStatusMarkup(newRemaining, totals.required);
+    }
+
+    const wasComplete = levelCard.classList.contains('complete');
+    const isComplete = totals.required === 0 ? true : newRemaining === 0;
+    levelCard.classList.toggle('complete', isComplete);
+
+    if (!wasComplete && isComplete && totals.required > 0 && trackableRows.length > 0) {
+      const stationName = levelCard.dataset.stationName || 'Workshop';
+      const levelNumber = Number(levelCard.dataset.levelNumber || 0);
+      const levelLabel = Utils.toRoman(levelNumber) || `Level ${levelNumber}`;
+      Notifier.push(`${stationName} ${levelLabel} complete!`);
+    }
+  };
+
+  const updateOvercommitBanner = () => {
+    const contested = Array.from(allocation.items.values()).filter((totals) => totals.overcommitted);
+    overcommitBanner.hidden = !contested.length;
+    overcommitBanner.innerHTML = contested.length
+      ? `<i class="fa-solid fa-triangle-exclamation"></i> ${
+          allocation.mode === 'reserve' ? 'Reserved more than you own' : 'Upgrades competing for the same stock'
+        }: ${contested.map((totals) => `<strong>${totals.item}</strong>`).join(', ')}`
+      : '';
+  };
+
+  // Re-runs the allocation and patches every rendered row and level card in
+  // place, so typing into an input never loses focus.
+  const refresh = () => {
+    allocation = MaterialPlanner.allocateInventory();
+    container.querySelectorAll('.resource-item.trackable').forEach(updateRow);
+    container.querySelectorAll('.station-level').forEach(updateLevelCard);
+    document.querySelectorAll('input[data-inventory-item]').forEach((input) => {
+      if (input !== document.activeElement) input.value = MaterialPlanner.getOwned(input.dataset.inventoryItem);
+    });
+    updateOvercommitBanner();
+  };
+
+  const syncInventoryInputs = (item, value, source) => {
+    document.querySelectorAll('input[data-inventory-item]').forEach((input) => {
+      if (input !== source && input.dataset.inventoryItem === item) input.value = value;
+    });
+  };
+
+  const updateInventory = (input) => {
+    const item = input.dataset.inventoryItem;
+    const value = Math.max(Math.floor(Number(input.value) || 0), 0);
+    if (input.value !== '') input.value = value;
+    MaterialPlanner.setOwned(item, value, { debounce: 0 });
+    syncInventoryInputs(item, value, input);
+    refresh();
+  };
+
+  const updateReservation = (input) => {
+    const { storageKey } = input.dataset;
+    const max = Number(input.max);
+    const value = Utils.clamp(Number(input.value) || 0, 0, max);
+    input.value = value;
+    StorageManager.set(storageKey, value, { debounce: 0 });
+    refresh();
+  };
+
+  const bindInputs = (scope) => {
+    scope.querySelectorAll('input[data-storage-key]').forEach((input) => {
+      input.addEventListener('input', () => updateReservation(input));
+    });
+    scope.querySelectorAll('input[data-inventory-item]').forEach((input) => {
+      input.addEventListener('input', () => updateInventory(input));
+    });
+  };
+
+  const renderInventory = () => {
+    inventoryList.innerHTML = '';
+    MaterialPlanner.listMaterials().forEach((item) => {
+      const visual = getMaterialVisual(item);
+      const entry = Utils.createElement('li', { className: 'inventory-item' });
+      entry.innerHTML = `
+        <img src="${visual.image}" alt="" loading="lazy" decoding="async" referrerpolicy="no-referrer" />
+        <label>
+          <span class="resource-name">${item}</span>
+          <input type="number" min="0" step="1" value="${MaterialPlanner.getOwned(item)}" data-inventory-item="${item}" />
+        </label>
+      `;
+      inventoryList.appendChild(entry);
+    });
+    bindInputs(inventoryList);
+  };
+
+  const bindToolbar = () => {
+    allocationSelect.addEventListener('change', () => {
+      StorageManager.set(MaterialPlanner.ALLOCATION_KEY, allocationSelect.value, { debounce: 0 });
+      init();
+    });
+    levelOneToggle.addEventListener('change', () => {
+      StorageManager.set(MaterialPlanner.SHOW_LEVEL_ONE_KEY, levelOneToggle.checked, { debounce: 0 });
+      init();
+    });
+  };
+
+  const init = () => {
+    allocation = MaterialPlanner.allocateInventory();
+    if (!bound) {
+      bindToolbar();
+      bound = true;
+    }
+    allocationSelect.value = allocation.mode;
+    levelOneToggle.checked = StorageManager.get(MaterialPlanner.SHOW_LEVEL_ONE_KEY, false);
+    renderInventory();
+    container.innerHTML = '';
+    DataRepository.workshopStations.forEach((station) => {
+      const card = renderStation(station);
+      if (card) {
+        container.appendChild(card);
+        bindInputs(card);
+      }
+    });
+    updateOvercommitBanner();
+  };
+
+  return { init };
+})();
+
+// ShoppingListView consolidates every outstanding material across workshop
+// levels and quest objectives into a single loot plan.
+const ShoppingListView = (() => {
+  const container = document.getElementById('shopping-list');
+  const summary = document.getElementById('shopping-summary');
+  const sortSelect = document.getElementById('shopping-sort');
+  const groupSelect = document.getElementById('shopping-group');
+  const questToggle = document.getElementById('shopping-include-quests');
+  const PREFERENCES_KEY = 'shopping:preferences';
+  const DEFAULT_PREFERENCES = { sort: 'remaining', group: 'material', includeQuests: true };
+  let preferences = { ...DEFAULT_PREFERENCES, ...StorageManager.get(PREFERENCES_KEY, {}) };
+  let renderScheduled = false;
+  let bound = false;
+
+  const sorters = {
+    remaining: (a, b) => b.remaining - a.remaining || a.item.localeCompare(b.item),
+    name: (a, b) => a.item.localeCompare(b.item)
+  };
+
+  const renderThumb = (item) => {
+    const visual = MaterialPlanner.getMaterialVisual(item);
+    const thumb = Utils.createElement('button', {
+      className: 'resource-thumb',
+      attrs: { type: 'button', 'data-material-detail': item, title: `What needs ${item}?` },
+      html: `<img src="${visual.image}" alt="${visual.alt}" loading="lazy" decoding="async" referrerpolicy="no-referrer" />`
+    });
+    const img = thumb.querySelector('img');
+    img.addEventListener(
+      'error',
+      () => {
+        img.src = MaterialPlanner.FALLBACK_MEDIA.image;
+        img.alt = MaterialPlanner.FALLBACK_MEDIA.alt;
+      },
+      { once: true }
+    );
+    return thumb;
+  };
+
+  const renderSourceList = (sources) => {
+    const list = Utils.createElement('ul', { className: 'shopping-sources' });
+    sources.forEach((source) => {
+      list.appendChild(
+        Utils.createElement('li', {
+          className: `shopping-source shopping-source--${source.type}`,
+          html: `<i class="fa-solid ${source.icon ?? 'fa-circle'}"></i> <span>${source.label}</span> <strong>${source.remaining}</strong>`
+        })
+      );
+    });
+    return list;
+  };
+
+  const renderMaterialRow = (entry) => {
+    const row = Utils.createElement('li', {
+      className: 'shopping-item',
+      attrs: { 'data-material': entry.item }
+    });
+    const info = Utils.createElement('div', {
+      className: 'shopping-item-info',
+      html: `<span class="resource-name">${entry.item}</span>`
+    });
+    info.appendChild(renderSourceList(entry.sources));
+    row.append(
+      renderThumb(entry.item),
+      info,
+      Utils.createElement('span', { className: 'shopping-item-total', text: `×${entry.remaining}` })
+    );
+    return row;
+  };
+
+  const renderByMaterial = (needs) => {
+    const list = Utils.createElement('ul', { className: 'shopping-items' });
+    needs.forEach((entry) => list.appendChild(renderMaterialRow(entry)));
+    return list;
+  };
+
+  const renderBySource = (needs) => {
+    const groups = new Map();
+    needs.forEach((entry) => {
+      entry.sources.forEach((source) => {
+        const group = groups.get(source.id) ?? { ...source, items: [] };
+        group.items.push({ item: entry.item, remaining: source.remaining, sources: [] });
+        groups.set(source.id, group);
+      });
+    });
+
+    const wrapper = Utils.createElement('div', { className: 'shopping-groups' });
+    groups.forEach((group) => {
+      const section = Utils.createElement('section', {
+        className: `shopping-group shopping-group--${group.type}`,
+        html: `<h3><i class="fa-solid ${group.icon ?? 'fa-circle'}"></i> ${group.label}</h3>`
+      });
+      const list = Utils.createElement('ul', { className: 'shopping-items' });
+      group.items.sort(sorters[preferences.sort] ?? sorters.remaining);
+      group.items.forEach((entry) => list.appendChild(renderMaterialRow(entry)));
+      section.appendChild(list);
+      wrapper.appendChild(section);
+    });
+    return wrapper;
+  };
+
+  const render = () => {
+    renderScheduled = false;
+    const needs = MaterialPlanner.collectNeeds({ includeQuests: preferences.includeQuests });
+    needs.sort(sorters[preferences.sort] ?? sorters.remaining);
+
+    const totalRemaining = Utils.sum(needs.map((entry) => entry.remaining));
+    summary.textContent = needs.length
+      ? `${needs.length} materials · ${totalRemaining} items still to loot`
+      : 'Nothing left to loot — every tracked requirement is covered.';
+
+    container.innerHTML = '';
+    if (!needs.length) return;
+    container.appendChild(preferences.group === 'source' ? renderBySource(needs) : renderByMaterial(needs));
+  };
+
+  const scheduleRender = () => {
+    if (renderScheduled) return;
+    renderScheduled = true;
+    setTimeout(render, 0);
+  };
+
+  const syncControls = () => {
+    sortSelect.value = preferences.sort;
+    groupSelect.value = preferences.group;
+    questToggle.checked = preferences.includeQuests;
+  };
+
+  const bindInteractions = () => {
+    const persistPreferences = () => {
+      preferences = {
+        sort: sortSelect.value,
+        group: groupSelect.value,
+        includeQuests: questToggle.checked
+      };
+      StorageManager.set(PREFERENCES_KEY, preferences, { debounce: 0 });
+      render();
+    };
+
+    sortSelect.addEventListener('change', persistPreferences);
+    groupSelect.addEventListener('change', persistPreferences);
+    questToggle.addEventListener('change', persistPreferences);
+    MaterialPlanner.getTrackedKeys().forEach((key) => StorageManager.subscribe(key, scheduleRender));
+  };
+
+  const init = () => {
+    preferences = { ...DEFAULT_PREFERENCES, ...StorageManager.get(PREFERENCES_KEY, {}) };
+    if (!bound) {
+      bindInteractions();
+      bound = true;
+    }
+    syncControls();
+    render();
+  };
+
+  return { init, renderThumb };
+})();
+
+// MaterialDetailView answers "what needs this item?" for any material
+// thumbnail marked with a data-material-detail attribute.
+const MaterialDetailView = (() => {
+  let bound = false;
+
+  const renderUsageList = (title, icon, rows) => {
+    const section = Utils.createElement('section', {
+      className: 'material-usage',
+      html: `<h4><i class="fa-solid ${icon}"></i> ${title}</h4>`
+    });
+    if (!rows.length) {
+      section.appendChild(Utils.createElement('p', { className: 'material-usage-empty', text: 'None.' }));
+      return section;
+    }
+    const list = Utils.createElement('ul', { className: 'material-usage-list' });
+    rows.forEach((row) => {
+      list.appendChild(
+        Utils.createElement('li', {
+          className: row.complete ? 'complete' : '',
+          html: `<span>${row.label}</span><strong>${row.value}</strong>`
+        })
+      );
+    });
+    section.appendChild(list);
+    return section;
+  };
+
+  const open = (item) => {
+    const usage = MaterialPlanner.getMaterialUsage(item);
+    const visual = MaterialPlanner.getMaterialVisual(item);
+    const content = Utils.createElement('div', { className: 'material-detail' });
+
+    const verdict = usage.surplus
+      ? `<p class="material-verdict material-verdict--safe"><i class="fa-solid fa-recycle"></i> Safe to recycle <strong>${usage.surplus}</strong> surplus.</p>`
+      : usage.demand
+      ? `<p class="material-verdict material-verdict--keep"><i class="fa-solid fa-box-archive"></i> Keep it — ${
+          usage.owned ? 'every unit you own is still needed' : 'loot any you find'
+        }.</p>`
+      : '<p class="material-verdict"><i class="fa-solid fa-circle-check"></i> Nothing tracked needs this item.</p>';
+
+    content.innerHTML = `
+      <div class="material-detail-summary">
+        <img src="${visual.image}" alt="${visual.alt}" loading="lazy" decoding="async" referrerpolicy="no-referrer" />
+        <dl>
+          <dt>Owned</dt><dd>${usage.owned}</dd>
+          <dt>Total needed</dt><dd>${usage.demand}</dd>
+          <dt>Still to find</dt><dd>${usage.stillNeeded}</dd>
+        </dl>
+      </div>
+      ${verdict}
+    `;
+
+    content.append(
+      renderUsageList(
+        'Workshop upgrades',
+        'fa-screwdriver-wrench',
+        usage.workshop.map((entry) => ({
+          label: `${entry.station.name} · ${entry.level.label ?? `Level ${entry.level.level}`}`,
+          value: `${entry.allocated} / ${entry.required}`,
+          complete: entry.remaining === 0
+        }))
+      ),
+      renderUsageList(
+        'Quest objectives',
+        'fa-bullseye',
+        usage.quests.map((entry) => ({
+          label: `${entry.quest.name} — ${entry.objective.text}`,
+          value: entry.done ? 'Done' : entry.delivered ? `${entry.delivered} / ${entry.required}` : `×${entry.required}`,
+          complete: entry.done
+        }))
+      )
+    );
+
+    Modal.open({ title: item, icon: 'fa-magnifying-glass', content, className: 'material-detail-modal' });
+  };
+
+  const init = () => {
+    if (bound) return;
+    bound = true;
+    document.addEventListener('click', (event) => {
+      const trigger = event.target.closest('[data-material-detail]');
+      if (trigger) open(trigger.dataset.materialDetail);
+    });
+  };
+
+  return { init, open };
+})();
+
+// QuestView manages quest rendering, filtering, persistence and completion logic.
+const QuestView = (() => {
+  const container = document.getElementById('quest-grid');
+  const searchInput = document.getElementById('quest-search');
+  const traderFilter = document.getElementById('quest-trader-filter');
+  const mapFilter = document.getElementById('quest-map-filter');
+  const statusFilter = document.getElementById('quest-status-filter');
+  const clearFiltersButton = document.getElementById('quest-clear-filters');
+  const nextUpList = document.getElementById('quest-next-up');
+  const chainsContainer = document.getElementById('quest-chains');
+  const traderSummary = document.getElementById('quest-trader-summary');
+  const rewardsPanel = document.getElementById('quest-rewards-panel');
+  const rewardsSummary = document.getElementById('quest-rewards-summary');
+  const traderMeta = DataRepository.traderMeta ?? {};
+  const mapVisuals = DataRepository.mapVisuals ?? {};
+  const FILTER_KEY = 'quest:filters';
+  const DEFAULT_FILTERS = {
+    search: '',
+    traders: [],
+    maps: [],
+    statuses: []
+  };
+  // Query string names for each filter, e.g. ?trader=Shani,Apollo&status=in-progress.
+  const URL_PARAMS = {
+    search: 'q',
+    traders: 'trader',
+    maps: 'map',
+    statuses: 'status'
+  };
+  let activeFilters = { ...DEFAULT_FILTERS };
+  let urlRead = false;
+
+  // Card regions searched by each kind of query term, for highlighting.
+  const HIGHLIGHT_REGIONS = {
+    terms: 'h3, .trader-badge, .quest-objective > span:not(.quest-counter), .quest-maps, .quest-rewards',
+    map: '.quest-maps',
+    trader: '.trader-badge',
+    reward: '.quest-rewards'
+  };
+  const STATE_LABELS = {
+    complete: { icon: 'fa-circle-check', label: 'Complete' },
+    available: { icon: 'fa-unlock', label: 'Available' },
+    locked: { icon: 'fa-lock', label: 'Locked' }
+  };
+
+  let filtersBound = false;
+
+  const buildObjectiveKey = MaterialPlanner.getObjectiveKey;
+
+  const computeQuestProgress = QuestPlanner.getProgress;
+
+  const describePrerequisites = (quest) =>
+    QuestPlanner.getPrerequisites(quest.id)
+      .filter((parent) => !QuestPlanner.isComplete(parent))
+      .map((parent) => (parent.trader === quest.trader ? parent.name : `${parent.name} (${parent.trader})`))
+      .join(', ');
+
+  const renderQuestCard = (quest) => {
+    const card = Utils.createElement('article', {
+      className: 'card quest-card open',
+      attrs: {
+        'data-trader': quest.trader,
+        'data-quest-id': quest.id
+      }
+    });
+    const progress = computeQuestProgress(quest);
+    const traderDetails = traderMeta[quest.trader] ?? { icon: 'fa-user', color: 'var(--color-accent)' };
+    const mapChips = quest.maps
+      .map((location) => `<span class="map-chip">${location}</span>`)
+      .join('');
+    const primaryMap = Array.isArray(quest.maps) ? quest.maps[0] : undefined;
+    const questVisual = Array.isArray(quest.maps)
+      ? quest.maps.map((map) => mapVisuals[map]).find(Boolean)
+      : null;
+    const questMapLabel = questVisual?.label ?? primaryMap ?? 'ARC Raiders';
+    const visualAlt = questVisual?.alt ?? `${questMapLabel} location from ARC Raiders`;
+    const media = questVisual
+      ? `<figure class="card-media quest-media">
+          <img src="${questVisual.url}" alt="${visualAlt}" loading="lazy" decoding="async" referrerpolicy="no-referrer" />
+          <figcaption>${questMapLabel}</figcaption>
+        </figure>`
+      : '';
+
+    card.innerHTML = `
+      ${media}
+      <div class="card-header" role="button" tabindex="0" aria-expanded="true" style="--trader-accent: ${traderDetails.color}">
+        <h3><i class="fa-solid ${quest.icon}"></i> ${quest.name}</h3>
+        <div class="quest-meta">
+          <span class="trader-badge"><i class="fa-solid ${traderDetails.icon}"></i> ${quest.trader}</span>
+          <span class="quest-state"></span>
+          <span>${progress}%</span>
+        </div>
+        <i class="fa-solid fa-chevron-down chevron" aria-hidden="true"></i>
+      </div>
+      <div class="card-body"></div>
+    `;
+    const body = card.querySelector('.card-body');
+    const lockNote = Utils.createElement('p', { className: 'quest-lock-note' });
+    const list = Utils.createElement('div', { className: 'quest-objectives' });
+
+    quest.objectives.forEach((objective) => list.appendChild(renderObjective(quest, objective)));
+
+    const progressBar = Utils.createElement('div', { className: 'progress-bar' });
+    progressBar.innerHTML = `<span style="width: ${progress}%"></span>`;
+
+    const maps = Utils.createElement('div', {
+      className: 'quest-maps',
+      html: `<i class="fa-solid fa-map-location-dot"></i> ${mapChips || '<span class="map-chip">Any</span>'}`
+    });
+
+    const rewards = Utils.createElement('p', {
+      className: 'quest-rewards',
+      html: `<i class="fa-solid fa-gift"></i> Rewards: ${QuestPlanner.getRewards(quest).map((reward) => renderRewardChip(reward)).join(' ')}`
+    });
+    const rewardCredit = Utils.createElement('div', { className: 'quest-reward-credit' });
+
+    const resetButton = Utils.createElement('button', {
+      className: 'text-button quest-reset',
+      text: 'Reset quest progress',
+      attrs: { type: 'button' }
+    });
+
+    resetButton.addEventListener('click', () => resetQuestProgress(quest, card));
+
+    body.append(lockNote, list, progressBar, maps, rewards, rewardCredit, resetButton);
+
+    const header = card.querySelector('.card-header');
+    const toggle = () => {
+      const isOpen = card.classList.toggle('open');
+      header.setAttribute('aria-expanded', String(isOpen));
+      card.classList.toggle('collapsed', !isOpen);
+      body.style.maxHeight = isOpen ? `${body.scrollHeight + 16}px` : '0';
+      body.style.paddingTop = isOpen ? 'var(--space-sm)' : '0';
+    };
+
+    header.addEventListener('click', toggle);
+    header.addEventListener('keypress', (event) => {
+      if (event.key === 'Enter' || event.key === ' ') {
+        event.preventDefault();
+        toggle();
+      }
+    });
+
+    updateQuestCompletionState(card, progress);
+    applyQuestState(card, quest);
+    return card;
+  };
+
+  // Locked quests keep recorded progress editable so it can be cleared, but
+  // new progress waits for the prerequisites.
+  const applyQuestState = (card, quest) => {
+    const state = QuestPlanner.getState(quest);
+    const { icon, label } = STATE_LABELS[state];
+    card.dataset.state = state;
+    card.classList.toggle('locked', state === 'locked');
+    const badge = card.querySelector('.quest-state');
+    badge.className = `quest-state quest-state--${state}`;
+    badge.innerHTML = `<i class="fa-solid ${icon}"></i> ${label}`;
+    const lockNote = card.querySelector('.quest-lock-note');
+    lockNote.hidden = state !== 'locked';
+    lockNote.innerHTML =
+      state === 'locked' ? `<i class="fa-solid fa-lock"></i> Complete ${describePrerequisites(quest)} first.` : '';
+    quest.objectives.forEach((objective) => {
+      const row = card.querySelector(`[data-objective-id="${objective.id}"]`);
+      if (row) syncObjective(row, quest, objective, state === 'locked');
+    });
+    syncRewardCredit(card, quest, state);
+  };
+
+  const focusQuest = (questId) => {
+    const card = container.querySelector(`[data-quest-id="${questId}"]`);
+    if (!card) return;
+    if (card.style.display === 'none') saveFilters(DEFAULT_FILTERS);
+    if (!card.classList.contains('open')) card.querySelector('.card-header').click();
+    card.scrollIntoView({ behavior: 'smooth', block: 'start' });
+    card.querySelector('.card-header').focus();
+  };
+
+  const listTraders = () =>
+    Array.from(new Set([...Object.keys(traderMeta), ...DataRepository.quests.map((quest) => quest.trader)]));
+
+  const renderTraderSummary = () => {
+    traderSummary.innerHTML = '';
+    listTraders().forEach((trader) => {
+      const summary = QuestPlanner.summarizeTrader(trader);
+      if (!summary.total) return;
+      const traderDetails = traderMeta[trader] ?? { icon: 'fa-user', color: 'var(--color-accent)' };
+      let next = 'All quests complete';
+      if (summary.next) next = `Next: ${summary.next.name}`;
+      else if (summary.blockedBy.length) {
+        next = `Waiting on ${summary.blockedBy.map((quest) => `${quest.name} (${quest.trader})`).join(', ')}`;
+      }
+      const button = Utils.createElement('button', {
+        className: 'trader-summary',
+        html: `
+          <span class="trader-summary-name"><i class="fa-solid ${traderDetails.icon}"></i> ${trader}</span>
+          <span class="trader-summary-count">${summary.completed}/${summary.total} quests</span>
+          <div class="resource-progress"><span style="--progress: ${summary.objectivePercent}%"></span></div>
+          <span class="trader-summary-objectives">${summary.objectivePercent}% of objectives</span>
+          <span class="trader-summary-next">${next}</span>
+        `,
+        attrs: {
+          type: 'button',
+          style: `--trader-accent: ${traderDetails.color}`,
+          'data-trader-filter': trader,
+          'aria-pressed': String(activeFilters.traders.includes(trader)),
+          title: `Show only ${trader}'s quests`
+        }
+      });
+      // Clicking a trader adds it to the trader filter, or takes it out again.
+      button.addEventListener('click', () =>
+        saveFilters({
+          ...activeFilters,
+          traders: activeFilters.traders.includes(trader)
+            ? activeFilters.traders.filter((entry) => entry !== trader)
+            : [...activeFilters.traders, trader]
+        })
+      );
+      traderSummary.appendChild(button);
+    });
+  };
+
+  const renderNextUp = () => {
+    nextUpList.innerHTML = '';
+    const available = QuestPlanner.listAvailable();
+    if (!available.length) {
+      const allDone = DataRepository.quests.every(QuestPlanner.isComplete);
+      nextUpList.appendChild(
+        Utils.createElement('li', {
+          className: 'quest-next-up-empty',
+          text: allDone ? 'Every quest is complete.' : 'Nothing to start right now.'
+        })
+      );
+      return;
+    }
+    available.forEach((quest) => {
+      const traderDetails = traderMeta[quest.trader] ?? { icon: 'fa-user', color: 'var(--color-accent)' };
+      const item = document.createElement('li');
+      const button = Utils.createElement('button', {
+        className: 'quest-next-up-item',
+        html: `
+          <span class="trader-badge" style="--trader-accent: ${traderDetails.color}"><i class="fa-solid ${
+            traderDetails.icon
+          }"></i> ${quest.trader}</span>
+          <strong>${quest.name}</strong>
+          <span>${QuestPlanner.getProgress(quest)}%</span>
+        `,
+        attrs: { type: 'button' }
+      });
+      button.addEventListener('click', () => focusQuest(quest.id));
+      item.appendChild(button);
+      nextUpList.appendChild(item);
+    });
+  };
+
+  const renderChains = () => {
+    chainsContainer.innerHTML = '';
+    QuestPlanner.listChains().forEach(({ trader, quests }) => {
+      const traderDetails = traderMeta[trader] ?? { icon: 'fa-user', color: 'var(--color-accent)' };
+      const completed = quests.filter(QuestPlanner.isComplete).length;
+      const chain = Utils.createElement('div', {
+        className: 'quest-chain',
+        attrs: { style: `--trader-accent: ${traderDetails.color}` }
+      });
+      chain.appendChild(
+        Utils.createElement('div', {
+          className: 'quest-chain-header',
+          html: `<span class="trader-badge"><i class="fa-solid ${traderDetails.icon}"></i> ${trader}</span>
+            <span>${completed}/${quests.length} complete</span>`
+        })
+      );
+      const steps = Utils.createElement('ol', { className: 'quest-chain-steps' });
+      quests.forEach((quest) => {
+        const state = QuestPlanner.getState(quest);
+        const external = QuestPlanner.getPrerequisites(quest.id).filter((parent) => parent.trader !== trader);
+        const title = [
+          `${quest.name}: ${STATE_LABELS[state].label}`,
+          ...external.map((parent) => `Unlocked by ${parent.name} (${parent.trader})`)
+        ].join('\n');
+        const step = document.createElement('li');
+        const button = Utils.createElement('button', {
+          className: `quest-chain-step is-${state}`,
+          html: `<i class="fa-solid ${STATE_LABELS[state].icon}"></i> ${quest.name}`,
+          attrs: { type: 'button', title }
+        });
+        button.addEventListener('click', () => focusQuest(quest.id));
+        step.appendChild(button);
+        steps.appendChild(step);
+      });
+      chain.appendChild(steps);
+      chainsContainer.appendChild(chain);
+    });
+  };
+
+  // Completing or resetting one quest can lock or unlock others.
+  const refreshProgression = () => {
+    Array.from(container.querySelectorAll('.quest-card')).forEach((card) => {
+      const quest = QuestPlanner.getQuest(card.dataset.questId);
+      if (quest) applyQuestState(card, quest);
+    });
+    renderTraderSummary();
+    renderNextUp();
+    renderChains();
+    renderRewardSummary();
+  };
+
+  const formatReward = (reward) =>
+    reward.type === 'cosmetic' && reward.quantity === 1 ? reward.item : `${reward.quantity}x ${reward.item}`;
+
+  const renderRewardChip = (reward, label = formatReward(reward)) =>
+    MaterialPlanner.isKnownMaterial(reward.item)
+      ? `<span class="reward-chip reward-chip--material" title="Tracked material"><i class="fa-solid fa-screwdriver-wrench"></i> ${label}</span>`
+      : `<span class="reward-chip">${label}</span>`;
+
+  const offerRewards = (quest) => {
+    const rewards = QuestPlanner.getUnclaimedRewards(quest);
+    const content = Utils.createElement('div', { className: 'quest-reward-offer' });
+    content.appendChild(
+      Utils.createElement('p', { text: `Add the material rewards from ${quest.name} to your tracked inventory?` })
+    );
+    const list = Utils.createElement('ul', { className: 'quest-reward-offer-list' });
+    rewards.forEach((reward, index) => {
+      const owned = MaterialPlanner.getOwned(reward.item);
+      const item = document.createElement('li');
+      item.innerHTML = `
+        <label>
+          <input type="checkbox" data-reward-index="${index}" checked />
+          <span>${formatReward(reward)}</span>
+          <small>${owned} → ${owned + reward.quantity} owned</small>
+        </label>
+      `;
+      list.appendChild(item);
+    });
+    content.appendChild(list);
+    Modal.open({
+      title: 'Claim quest rewards',
+      icon: 'fa-gift',
+      content,
+      actions: [
+        { label: 'Not now' },
+        {
+          label: 'Add to inventory',
+          primary: true,
+          onClick: () => {
+            const chosen = rewards.filter((_, index) => content.querySelector(`[data-reward-index="${index}"]`).checked);
+            if (!QuestPlanner.creditRewards(quest, chosen)) return;
+            refreshProgression();
+            Notifier.push(`Added ${quest.name} rewards to your inventory.`);
+          }
+        }
+      ]
+    });
+  };
+
+  // Completed quests with material rewards can credit them once.
+  const syncRewardCredit = (card, quest, state) => {
+    const credit = card.querySelector('.quest-reward-credit');
+    credit.innerHTML = '';
+    credit.hidden = state !== 'complete' || !QuestPlanner.getCreditableRewards(quest).length;
+    if (credit.hidden) return;
+    if (QuestPlanner.isRewardCredited(quest)) {
+      credit.innerHTML = '<i class="fa-solid fa-circle-check"></i> Rewards added to inventory';
+      return;
+    }
+    const button = Utils.createElement('button', {
+      className: 'text-button',
+      html: '<i class="fa-solid fa-gift"></i> Add rewards to inventory',
+      attrs: { type: 'button' }
+    });
+    button.addEventListener('click', () => offerRewards(quest));
+    credit.appendChild(button);
+  };
+
+  const renderRewardSummary = () => {
+    rewardsSummary.innerHTML = '';
+    if (!rewardsPanel.open) return;
+    const rewards = QuestPlanner.collectOutstandingRewards();
+    if (!rewards.length) {
+      rewardsSummary.appendChild(
+        Utils.createElement('p', { className: 'compare-empty', text: 'Every quest reward has been earned.' })
+      );
+      return;
+    }
+    const needs = new Map(MaterialPlanner.collectNeeds().map((need) => [need.item, need.remaining]));
+    const openQuests = DataRepository.quests.filter((quest) => !QuestPlanner.isComplete(quest)).length;
+    rewardsSummary.appendChild(
+      Utils.createElement('p', {
+        className: 'compare-summary',
+        text: `${rewards.length} reward item${rewards.length === 1 ? '' : 's'} left across ${openQuests} incomplete quest${
+          openQuests === 1 ? '' : 's'
+        }.`
+      })
+    );
+    // Materials the tracker plans for come first, since they feed upgrades.
+    rewards.sort(
+      (a, b) =>
+        Number(MaterialPlanner.isKnownMaterial(b.item)) - Number(MaterialPlanner.isKnownMaterial(a.item)) ||
+        a.item.localeCompare(b.item)
+    );
+    const table = Utils.createElement('table', { className: 'compare-table quest-rewards-table' });
+    table.innerHTML = '<thead><tr><th>Reward</th><th>Quantity</th><th>Still needed</th><th>From</th></tr></thead>';
+    const body = document.createElement('tbody');
+    rewards.forEach((reward) => {
+      const material = MaterialPlanner.isKnownMaterial(reward.item);
+      const row = document.createElement('tr');
+      row.innerHTML = `
+        <td>${renderRewardChip(reward, reward.item)}</td>
+        <td>${reward.quantity}</td>
+        <td>${material ? needs.get(reward.item) ?? 0 : '—'}</td>
+        <td>${reward.quests
+          .map(
+            (quest) =>
+              `<span class="quest-rewards-source quest-state--${QuestPlanner.getState(quest)}">${quest.name}</span>`
+          )
+          .join(', ')}</td>
+      `;
+      body.appendChild(row);
+    });
+    table.appendChild(body);
+    rewardsSummary.appendChild(table);
+  };
+
+  // Single-step objectives stay checkboxes; counted ones get +/- steppers.
+  const renderObjective = (quest, objective) => {
+    const target = QuestPlanner.getTarget(objective);
+    const type = QuestPlanner.OBJECTIVE_TYPES[objective.type];
+    const typeIcon = type
+      ? `<i class="fa-solid ${type.icon} quest-objective-type" title="${type.label}" aria-hidden="true"></i>`
+      : '';
+    const row = Utils.createElement(target === 1 ? 'label' : 'div', {
+      className: `quest-objective${target === 1 ? '' : ' quest-objective--counter'}`,
+      attrs: { 'data-objective-id': objective.id }
+    });
+    if (target === 1) {
+      row.innerHTML = `
+        <input type="checkbox" data-storage-key="${buildObjectiveKey(quest.id, objective.id)}" />
+        ${typeIcon}
+        <span>${objective.text}</span>
+      `;
+      row.querySelector('input').addEventListener('change', (event) =>
+        updateObjective(row, quest, objective, event.target.checked ? 1 : 0)
+      );
+    } else {
+      row.innerHTML = `
+        ${typeIcon}
+        <span>${objective.text}</span>
+        <span class="quest-counter">
+          <button type="button" class="icon-button" data-quest-step="-1" aria-label="One less for ${objective.text}">
+            <i class="fa-solid fa-minus"></i>
+          </button>
+          <output aria-live="polite"></output>
+          <button type="button" class="icon-button" data-quest-step="1" aria-label="One more for ${objective.text}">
+            <i class="fa-solid fa-plus"></i>
+          </button>
+        </span>
+        <div class="resource-progress"><span></span></div>
+      `;
+      row.querySelectorAll('[data-quest-step]').forEach((button) => {
+        button.addEventListener('click', () =>
+          updateObjective(
+            row,
+            quest,
+            objective,
+            QuestPlanner.getObjectiveCount(quest, objective) + Number(button.dataset.questStep)
+          )
+        );
+      });
+    }
+    if (objective.item) row.insertBefore(ShoppingListView.renderThumb(objective.item), row.querySelector('span'));
+    syncObjective(row, quest, objective, false);
+    return row;
+  };
+
+  const syncObjective = (row, quest, objective, locked) => {
+    const target = QuestPlanner.getTarget(objective);
+    const count = QuestPlanner.getObjectiveCount(quest, objective);
+    row.classList.toggle('complete', count === target);
+    const checkbox = row.querySelector('input[type="checkbox"]');
+    if (checkbox) {
+      checkbox.checked = count === target;
+      checkbox.disabled = locked && !checkbox.checked;
+    }
+    const output = row.querySelector('output');
+    if (output) output.textContent = `${count} / ${target}`;
+    const bar = row.querySelector('.resource-progress span');
+    if (bar) bar.style.setProperty('--progress', `${Math.round((count / target) * 100)}%`);
+    const less = row.querySelector('[data-quest-step="-1"]');
+    if (less) less.disabled = count === 0;
+    const more = row.querySelector('[data-quest-step="1"]');
+    if (more) more.disabled = locked || count === target;
+  };
+
+  const resetQuestProgress = (quest, card) => {
+    quest.objectives.forEach((objective) => QuestPlanner.setObjectiveCount(quest, objective, 0));
+
+    const progress = computeQuestProgress(quest);
+    updateQuestCompletionState(card, progress);
+    refreshProgression();
+    applyFilters(activeFilters);
+    Notifier.push(`${quest.name} progress reset.`);
+  };
+
+  const updateQuestCompletionState = (card, progress) => {
+    const wasComplete = card.classList.contains('complete');
+    card.classList.toggle('complete', progress === 100);
+    const meta = card.querySelector('.quest-meta span:last-child');
+    if (meta) meta.textContent = `${progress}%`;
+    const progressBar = card.querySelector('.progress-bar span');
+    if (progressBar) progressBar.style.width = `${progress}%`;
+    if (progress === 100 && !wasComplete) {
+      const questName = card.querySelector('h3').textContent.replace(/\s{2,}/g, ' ').trim();
+      Notifier.push(`${questName} complete!`);
+    }
+  };
+
+  const escapePattern = (text) => text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+  const clearHighlights = (card) => {
+    card.querySelectorAll('mark.search-highlight').forEach((mark) => mark.replaceWith(mark.textContent));
+    card.normalize();
+  };
+
+  const highlightText = (element, terms) => {
+    const pattern = new RegExp(terms.map(escapePattern).join('|'), 'gi');
+    const walker = document.createTreeWalker(element, NodeFilter.SHOW_TEXT, {
+      acceptNode: (node) => (node.parentElement.closest('mark') ? NodeFilter.FILTER_REJECT : NodeFilter.FILTER_ACCEPT)
+    });
+    const nodes = [];
+    while (walker.nextNode()) nodes.push(walker.currentNode);
+    nodes.forEach((node) => {
+      const text = node.nodeValue;
+      const matches = Array.from(text.matchAll(pattern));
+      if (!matches.length) return;
+      const fragment = document.createDocumentFragment();
+      let last = 0;
+      matches.forEach((match) => {
+        fragment.append(text.slice(last, match.index));
+        fragment.append(Utils.createElement('mark', { className: 'search-highlight', text: match[0] }));
+        last = match.index + match[0].length;
+      });
+      fragment.append(text.slice(last));
+      node.replaceWith(fragment);
+    });
+  };
+
+  const highlightCard = (card, query) => {
+    clearHighlights(card);
+    Object.entries(HIGHLIGHT_REGIONS).forEach(([field, selector]) => {
+      if (!query[field].length) return;
+      card.querySelectorAll(selector).forEach((element) => highlightText(element, query[field]));
+    });
+  };
+
+  const getCheckedValues = (fieldset) =>
+    Array.from(fieldset.querySelectorAll('input[type="checkbox"]:checked')).map((input) => input.value);
+
+  const setCheckedValues = (fieldset, values) => {
+    fieldset.querySelectorAll('input[type="checkbox"]').forEach((input) => {
+      input.checked = values.includes(input.value);
+    });
+  };
+
+  const getOptionValues = (fieldset) =>
+    Array.from(fieldset.querySelectorAll('input[type="checkbox"]')).map((input) => input.value);
+
+  // Names the selection on the collapsed trader and map menus.
+  const describeSelection = (values, allLabel, noun) => {
+    if (!values.length) return allLabel;
+    return values.length === 1 ? values[0] : `${values.length} ${noun}`;
+  };
+
+  // Unknown traders, maps or statuses (from an old bookmark, say) are dropped.
+  const normalizeFilters = (filters) => {
+    const keepKnown = (values, fieldset) =>
+      Array.isArray(values) ? values.filter((value) => getOptionValues(fieldset).includes(value)) : [];
+    return {
+      search: typeof filters.search === 'string' ? filters.search : '',
+      traders: keepKnown(filters.traders, traderFilter),
+      maps: keepKnown(filters.maps, mapFilter),
+      statuses: keepKnown(filters.statuses, statusFilter)
+    };
+  };
+
+  const readUrlFilters = () => {
+    const params = new URLSearchParams(window.location.search);
+    if (!Object.values(URL_PARAMS).some((name) => params.has(name))) return null;
+    const readList = (name) =>
+      (params.get(name) ?? '')
+        .split(',')
+        .map((value) => value.trim())
+        .filter(Boolean);
+    return {
+      search: params.get(URL_PARAMS.search) ?? '',
+      traders: readList(URL_PARAMS.traders),
+      maps: readList(URL_PARAMS.maps),
+      statuses: readList(URL_PARAMS.statuses)
+    };
+  };
+
+  // Mirrors the filters into the query string without adding history entries;
+  // default filters leave the URL clean.
+  const writeUrlFilters = (filters) => {
+    const url = new URL(window.location.href);
+    Object.entries(URL_PARAMS).forEach(([field, name]) => {
+      const value = Array.isArray(filters[field]) ? filters[field].join(',') : filters[field];
+      if (value) url.searchParams.set(name, value);
+      else url.searchParams.delete(name);
+    });
+    if (url.href !== window.location.href) window.history.replaceState(window.history.state, '', url);
+  };
+
+  const applyFilters = (filters = activeFilters) => {
+    activeFilters = normalizeFilters(filters);
+
+    const query = QuestPlanner.parseQuery(activeFilters.search);
+
+    searchInput.value = activeFilters.search;
+    setCheckedValues(traderFilter, activeFilters.traders);
+    setCheckedValues(mapFilter, activeFilters.maps);
+    setCheckedValues(statusFilter, activeFilters.statuses);
+    traderFilter.closest('details').querySelector('[data-filter-label]').textContent = describeSelection(
+      activeFilters.traders,
+      'All traders',
+      'traders'
+    );
+    mapFilter.closest('details').querySelector('[data-filter-label]').textContent = describeSelection(
+      activeFilters.maps,
+      'All maps',
+      'maps'
+    );
+    clearFiltersButton.hidden = JSON.stringify(activeFilters) === JSON.stringify(DEFAULT_FILTERS);
+
+    const cards = Array.from(container.children);
+    cards.forEach((card) => {
+      const quest = QuestPlanner.getQuest(card.dataset.questId);
+      const matchesSearch = QuestPlanner.matchesQuery(quest, query);
+      const matchesTrader = !activeFilters.traders.length || activeFilters.traders.includes(quest.trader);
+      const matchesMap = !activeFilters.maps.length || activeFilters.maps.some((map) => QuestPlanner.isOnMap(quest, map));
+      const matchesStatus =
+        !activeFilters.statuses.length || activeFilters.statuses.includes(QuestPlanner.getStatus(quest));
+      card.style.display = matchesSearch && matchesTrader && matchesMap && matchesStatus ? 'flex' : 'none';
+      highlightCard(card, query);
+    });
+
+    traderSummary.querySelectorAll('[data-trader-filter]').forEach((button) => {
+      button.setAttribute('aria-pressed', String(activeFilters.traders.includes(button.dataset.traderFilter)));
+    });
+    writeUrlFilters(activeFilters);
+  };
+
+  const saveFilters = (filters) => {
+    applyFilters(filters);
+    StorageManager.set(FILTER_KEY, activeFilters, { debounce: 0 });
+  };
+
+  const updateObjective = (row, quest, objective, value) => {
+    const wasComplete = QuestPlanner.isComplete(quest);
+    QuestPlanner.setObjectiveCount(quest, objective, value);
+    updateQuestCompletionState(row.closest('.quest-card'), computeQuestProgress(quest));
+    refreshProgression();
+    applyFilters(activeFilters);
+    if (!wasComplete && QuestPlanner.isComplete(quest) && !QuestPlanner.isRewardCredited(quest)) offerRewards(quest);
+  };
+
+  const bindFilters = () => {
+    const persistFilters = () =>
+      saveFilters({
+        search: searchInput.value,
+        traders: getCheckedValues(traderFilter),
+        maps: getCheckedValues(mapFilter),
+        statuses: getCheckedValues(statusFilter)
+      });
+
+    rewardsPanel.addEventListener('toggle', renderRewardSummary);
+    searchInput.addEventListener('input', persistFilters);
+    [traderFilter, mapFilter, statusFilter].forEach((fieldset) => fieldset.addEventListener('change', persistFilters));
+    clearFiltersButton.addEventListener('click', () => saveFilters(DEFAULT_FILTERS));
+  };
+
+  const populateOptions = (fieldset, values) => {
+    fieldset.querySelectorAll('label').forEach((label) => label.remove());
+    values.forEach((value) => {
+      const label = Utils.createElement('label', { className: 'filter-option' });
+      label.append(
+        Utils.createElement('input', { attrs: { type: 'checkbox', value } }),
+        Utils.createElement('span', { text: value })
+      );
+      fieldset.appendChild(label);
+    });
+  };
+
+  const populateTraderFilter = () =>
+    populateOptions(traderFilter, Array.from(new Set(DataRepository.quests.map((quest) => quest.trader))));
+
+  const populateMapFilter = () => populateOptions(mapFilter, QuestPlanner.listMaps());
+
+  const init = () => {
+    container.innerHTML = '';
+    DataRepository.quests.forEach((quest) => {
+      const card = renderQuestCard(quest);
+      container.appendChild(card);
+      const body = card.querySelector('.card-body');
+      body.style.maxHeight = `${body.scrollHeight + 16}px`;
+    });
+    populateTraderFilter();
+    populateMapFilter();
+    // A filtered link wins over the saved filters, once, on page load.
+    const fromUrl = urlRead ? null : readUrlFilters();
+    urlRead = true;
+    activeFilters = normalizeFilters(fromUrl ?? StorageManager.get(FILTER_KEY, DEFAULT_FILTERS));
+    renderTraderSummary();
+    renderNextUp();
+    renderChains();
+    renderRewardSummary();
+    if (!filtersBound) {
+      bindFilters();
+      filtersBound = true;
+    }
+    if (fromUrl) {
+      saveFilters(activeFilters);
+      NavigationController.showSection('quests');
+    } else {
+      applyFilters(activeFilters);
+    }
+  };
+
+  return { init, focusQuest };
+})();
+
+// RaidPlannerView gathers everything worth doing in one deployment on a map:
+// the open objectives of quests played there and the materials still needed.
+const RaidPlannerView = (() => {
+  const mapPicker = document.getElementById('raid-maps');
+  const lockedToggle = document.getElementById('raid-include-locked');
+  const summary = document.getElementById('raid-summary');
+  const objectivesContainer = document.getElementById('raid-objectives');
+  const materialsList = document.getElementById('raid-materials');
+  const PREFERENCES_KEY = 'raid:preferences';
+  const DEFAULT_PREFERENCES = { map: null, includeLocked: false };
+  const mapVisuals = DataRepository.mapVisuals ?? {};
+  const traderMeta = DataRepository.traderMeta ?? {};
+  let preferences = { ...DEFAULT_PREFERENCES };
+  let renderScheduled = false;
+  let bound = false;
+
+  const countObjectives = (groups) => Utils.sum(groups.map((group) => group.objectives.length));
+
+  const renderMapPicker = () => {
+    mapPicker.innerHTML = '';
+    QuestPlanner.listMaps().forEach((map) => {
+      const visual = mapVisuals[map];
+      const open = countObjectives(QuestPlanner.collectMapObjectives(map, preferences));
+      const button = Utils.createElement('button', {
+        className: 'raid-map',
+        html: `
+          ${
+            visual
+              ? `<img src="${visual.url}" alt="${visual.alt}" loading="lazy" decoding="async" referrerpolicy="no-referrer" />`
+              : ''
+          }
+          <span class="raid-map-name">${visual?.label ?? map}</span>
+          <span class="raid-map-count">${open} open objective${open === 1 ? '' : 's'}</span>
+        `,
+        attrs: { type: 'button', 'aria-pressed': String(map === preferences.map) }
+      });
+      button.addEventListener('click', () => savePreferences({ ...preferences, map }));
+      mapPicker.appendChild(button);
+    });
+  };
+
+  const renderObjectives = (groups) => {
+    objectivesContainer.innerHTML = '';
+    if (!groups.length) {
+      objectivesContainer.appendChild(
+        Utils.createElement('p', { className: 'compare-empty', text: 'No open quest objectives on this map.' })
+      );
+      return;
+    }
+    groups.forEach(({ quest, state, objectives }) => {
+      const traderDetails = traderMeta[quest.trader] ?? { icon: 'fa-user', color: 'var(--color-accent)' };
+      const group = Utils.createElement('article', {
+        className: `raid-quest${state === 'locked' ? ' locked' : ''}`,
+        attrs: { style: `--trader-accent: ${traderDetails.color}` }
+      });
+      group.innerHTML = `
+        <header class="raid-quest-header">
+          <h4><i class="fa-solid ${state === 'locked' ? 'fa-lock' : quest.icon}"></i> ${quest.name}</h4>
+          <span class="trader-badge"><i class="fa-solid ${traderDetails.icon}"></i> ${quest.trader}</span>
+        </header>
+      `;
+      const list = Utils.createElement('ul', { className: 'raid-objective-list' });
+      objectives.forEach(({ objective, count, target }) => {
+        const type = QuestPlanner.OBJECTIVE_TYPES[objective.type];
+        const item = Utils.createElement('li', {
+          className: 'raid-objective',
+          html: `
+            <i class="fa-solid ${type?.icon ?? 'fa-circle'}" title="${type?.label ?? 'Objective'}" aria-hidden="true"></i>
+            <span>${objective.text}</span>
+            ${target > 1 ? `<strong>${count} / ${target}</strong>` : ''}
+          `
+        });
+        if (objective.item) item.insertBefore(ShoppingListView.renderThumb(objective.item), item.querySelector('span'));
+        list.appendChild(item);
+      });
+      const showButton = Utils.createElement('button', {
+        className: 'text-button',
+        html: '<i class="fa-solid fa-arrow-right"></i> Show in quest log',
+        attrs: { type: 'button' }
+      });
+      showButton.addEventListener('click', () => {
+        NavigationController.showSection('quests');
+        QuestView.focusQuest(quest.id);
+      });
+      group.append(list, showButton);
+      objectivesContainer.appendChild(group);
+    });
+  };
+
+  // Deliveries for quests on this map come first; everything else is
+  // ordered by how much is still missing.
+  const renderMaterials = (groups) => {
+    materialsList.innerHTML = '';
+    const questIds = new Set(groups.map((group) => group.quest.id));
+    const needs = MaterialPlanner.collectNeeds().map((entry) => ({
+      ...entry,
+      forMap: entry.sources.some((source) => source.type === 'quest' && questIds.has(source.id))
+    }));
+    needs.sort((a, b) => Number(b.forMap) - Number(a.forMap) || b.remaining - a.remaining || a.item.localeCompare(b.item));
+    if (!needs.length) {
+      materialsList.appendChild(
+        Utils.createElement('li', { className: 'compare-empty', text: 'Every tracked material is covered.' })
+      );
+      return needs;
+    }
+    needs.forEach((entry) => {
+      const row = Utils.createElement('li', {
+        className: `shopping-item${entry.forMap ? ' raid-material--quest' : ''}`,
+        attrs: { 'data-material': entry.item }
+      });
+      const info = Utils.createElement('div', {
+        className: 'shopping-item-info',
+        html: `<span class="resource-name">${entry.item}</span>
+          <small>${entry.forMap ? 'Delivery for a quest on this map · ' : ''}${entry.sources
+            .map((source) => source.label)
+            .join(', ')}</small>`
+      });
+      row.append(
+        ShoppingListView.renderThumb(entry.item),
+        info,
+        Utils.createElement('span', { className: 'shopping-item-total', text: `×${entry.remaining}` })
+      );
+      materialsList.appendChild(row);
+    });
+    return needs;
+  };
+
+  const render = () => {
+    renderScheduled = false;
+    const maps = QuestPlanner.listMaps();
+    if (!maps.includes(preferences.map)) preferences.map = maps[0] ?? null;
+    lockedToggle.checked = preferences.includeLocked;
+    renderMapPicker();
+    if (!preferences.map) return;
+    const groups = QuestPlanner.collectMapObjectives(preferences.map, preferences);
+    renderObjectives(groups);
+    const needs = renderMaterials(groups);
+    const open = countObjectives(groups);
+    summary.textContent = `${preferences.map}: ${open} open objective${open === 1 ? '' : 's'} across ${
+      groups.length
+    } quest${groups.length === 1 ? '' : 's'} · ${needs.length} materials still needed`;
+  };
+
+  const scheduleRender = () => {
+    if (renderScheduled) return;
+    renderScheduled = true;
+    setTimeout(render, 0);
+  };
+
+  const savePreferences = (next) => {
+    preferences = next;
+    StorageManager.set(PREFERENCES_KEY, preferences, { debounce: 0 });
+    render();
+  };
+
+  const init = () => {
+    preferences = { ...DEFAULT_PREFERENCES, ...StorageManager.get(PREFERENCES_KEY, {}) };
+    if (!bound) {
+      bound = true;
+      lockedToggle.addEventListener('change', () =>
+        savePreferences({ ...preferences, includeLocked: lockedToggle.checked })
+      );
+      MaterialPlanner.getTrackedKeys().forEach((key) => StorageManager.subscribe(key, scheduleRender));
+    }
+    render();
+  };
+
+  return { init };
+})();
+
+// SkillGraph draws the skill tree as an SVG node-and-edge diagram, laid out by
+// the player level each node becomes relevant, with zoom, pan and keyboard
+// navigation along prerequisite edges.
+const SkillGraph = (() => {
+  const SVG_NS = 'http://www.w3.org/2000/svg';
+  const COLUMN_WIDTH = 250;
+  const NODE_WIDTH = 200;
+  const NODE_HEIGHT = 58;
+  const LEVEL_HEIGHT = 16;
+  const MIN_GAP = 84;
+  const HEADER_HEIGHT = 56;
+  const PADDING = 24;
+  const MIN_SCALE = 0.5;
+  const MAX_SCALE = 3;
+
+  const svg = (tag, attrs = {}, text = '') => {
+    const element = document.createElementNS(SVG_NS, tag);
+    Object.entries(attrs).forEach(([key, value]) => element.setAttribute(key, value));
+    if (text) element.textContent = text;
+    return element;
+  };
+
+  // Nodes sit at the player level their order range starts at, never closer
+  // than MIN_GAP to the previous node of the same branch.
+  const layout = () => {
+    const positions = new Map();
+    let height = 0;
+    DataRepository.skillBranches.forEach((branch, column) => {
+      let previousY = -Infinity;
+      branch.nodes.forEach((node) => {
+        const level = Number.parseInt(node.order, 10) || 0;
+        const y = Math.max(HEADER_HEIGHT + PADDING + level * LEVEL_HEIGHT, previousY + MIN_GAP);
+        positions.set(node.id, { x: PADDING + column * COLUMN_WIDTH, y, column, branch, node });
+        previousY = y;
+        height = Math.max(height, y + NODE_HEIGHT + PADDING);
+      });
+    });
+    return { positions, width: PADDING * 2 + DataRepository.skillBranches.length * COLUMN_WIDTH - (COLUMN_WIDTH - NODE_WIDTH), height };
+  };
+
+  const create = ({ onToggle, onInfo }) => {
+    const { positions, width, height } = layout();
+    const view = { x: 0, y: 0, scale: 1 };
+    const wrapper = Utils.createElement('div', { className: 'skill-graph' });
+    const toolbar = Utils.createElement('div', {
+      className: 'skill-graph-toolbar',
+      html: `
+        <button type="button" class="icon-button" data-graph-zoom="in" aria-label="Zoom in"><i class="fa-solid fa-magnifying-glass-plus"></i></button>
+        <button type="button" class="icon-button" data-graph-zoom="out" aria-label="Zoom out"><i class="fa-solid fa-magnifying-glass-minus"></i></button>
+        <button type="button" class="icon-button" data-graph-zoom="reset" aria-label="Reset view"><i class="fa-solid fa-expand"></i></button>
+        <span class="skill-graph-hint">Drag to pan, scroll to zoom. Arrow keys follow the tree, Enter picks a skill, I shows details.</span>
+      `
+    });
+    const root = svg('svg', {
+      class: 'skill-graph-canvas',
+      role: 'group',
+      'aria-label': 'Skill tree diagram',
+      preserveAspectRatio: 'xMidYMin meet'
+    });
+    const edges = svg('g', { class: 'skill-graph-edges' });
+    const nodes = svg('g', { class: 'skill-graph-nodes' });
+    root.append(edges, nodes);
+    wrapper.append(toolbar, root);
+
+    const applyView = () => {
+      root.setAttribute('viewBox', `${view.x} ${view.y} ${width / view.scale} ${height / view.scale}`);
+    };
+
+    const zoom = (factor, anchorX = 0.5, anchorY = 0.5) => {
+      const next = Utils.clamp(view.scale * factor, MIN_SCALE, MAX_SCALE);
+      const focusX = view.x + (width / view.scale) * anchorX;
+      const focusY = view.y + (height / view.scale) * anchorY;
+      view.scale = next;
+      view.x = focusX - (width / next) * anchorX;
+      view.y = focusY - (height / next) * anchorY;
+      applyView();
+    };
+
+    DataRepository.skillBranches.forEach((branch, column) => {
+      nodes.appendChild(
+        svg(
+          'text',
+          { class: 'skill-graph-branch', x: PADDING + column * COLUMN_WIDTH + NODE_WIDTH / 2, y: PADDING + 18, style: `fill: ${branch.color}` },
+          branch.name
+        )
+      );
+    });
+
+    const edgeElements = [];
+    positions.forEach((position) => {
+      (position.node.requires ?? []).forEach((parentId) => {
+        const parent = positions.get(parentId);
+        if (!parent) return;
+        const startX = parent.x + NODE_WIDTH / 2;
+        const startY = parent.y + NODE_HEIGHT;
+        const endX = position.x + NODE_WIDTH / 2;
+        const endY = position.y;
+        const middle = (startY + endY) / 2;
+        const path = svg('path', {
+          class: 'skill-edge',
+          d: `M ${startX} ${startY} C ${startX} ${middle}, ${endX} ${middle}, ${endX} ${endY}`,
+          style: `--branch-color: ${position.branch.color}`
+        });
+        edges.appendChild(path);
+        edgeElements.push({ path, from: parentId, to: position.node.id });
+      });
+    });
+
+    const nodeElements = new Map();
+    positions.forEach(({ x, y, branch, node }) => {
+      const group = svg('g', {
+        class: 'skill-graph-node',
+        tabindex: '-1',
+        role: 'button',
+        'aria-pressed': 'false',
+        'data-skill-id': node.id,
+        transform: `translate(${x} ${y})`,
+        style: `--branch-color: ${branch.color}`
+      });
+      group.append(
+        svg('rect', { width: NODE_WIDTH, height: NODE_HEIGHT, rx: 12 }),
+        svg('text', { class: 'skill-graph-name', x: 14, y: 24 }, node.name),
+        svg('text', { class: 'skill-graph-order', x: 14, y: 44 }, `Lv ${node.order}`),
+        svg('circle', { class: 'skill-graph-cost', cx: NODE_WIDTH - 24, cy: NODE_HEIGHT / 2, r: 15 }),
+        svg('text', { class: 'skill-graph-cost-label', x: NODE_WIDTH - 24, y: NODE_HEIGHT / 2 + 5 }, String(node.cost)),
+        svg('title', {}, `${node.name} · ${node.cost} points`)
+      );
+      nodes.appendChild(group);
+      nodeElements.set(node.id, group);
+    });
+
+    let focusedId = DataRepository.skillBranches[0]?.nodes[0]?.id;
+    const focusNode = (id) => {
+      const next = nodeElements.get(id);
+      if (!next) return;
+      nodeElements.forEach((element) => element.setAttribute('tabindex', '-1'));
+      next.setAttribute('tabindex', '0');
+      focusedId = id;
+      next.focus();
+      // Keep the focused node inside the visible area.
+      const { x, y } = positions.get(id);
+      const visibleWidth = width / view.scale;
+      const visibleHeight = height / view.scale;
+      if (x < view.x || x + NODE_WIDTH > view.x + visibleWidth || y < view.y || y + NODE_HEIGHT > view.y + visibleHeight) {
+        view.x = x + NODE_WIDTH / 2 - visibleWidth / 2;
+        view.y = y + NODE_HEIGHT / 2 - visibleHeight / 2;
+        applyView();
+      }
+    };
+
+    // Up/down follow prerequisite edges; left/right jump to the closest node
+    // in the neighbouring branch.
+    const neighbour = (id, key) => {
+      const current = positions.get(id);
+      if (key === 'ArrowUp') return current.node.requires?.[0];
+      if (key === 'ArrowDown') {
+        return Array.from(positions.values()).find((entry) => entry.node.requires?.includes(id))?.node.id;
+      }
+      const column = current.column + (key === 'ArrowRight' ? 1 : -1);
+      const candidates = Array.from(positions.values()).filter((entry) => entry.column === column);
+      candidates.sort((a, b) => Math.abs(a.y - current.y) - Math.abs(b.y - current.y));
+      return candidates[0]?.node.id;
+    };
+
+    root.addEventListener('keydown', (event) => {
+      const group = event.target.closest('.skill-graph-node');
+      if (!group) return;
+      const id = group.dataset.skillId;
+      if (['ArrowUp', 'ArrowDown', 'ArrowLeft', 'ArrowRight'].includes(event.key)) {
+        event.preventDefault();
+        const target = neighbour(id, event.key);
+        if (target) focusNode(target);
+      } else if (event.key === 'Enter' || event.key === ' ') {
+        event.preventDefault();
+        onToggle(id);
+      } else if (event.key === 'i' || event.key === 'I') {
+        onInfo(id);
+      } else if (event.key === '+' || event.key === '=') {
+        zoom(1.2);
+      } else if (event.key === '-') {
+        zoom(1 / 1.2);
+      }
+    });
+
+    let drag = null;
+    root.addEventListener('pointerdown', (event) => {
+      if (event.target.closest('.skill-graph-node')) return;
+      drag = { x: event.clientX, y: event.clientY, viewX: view.x, viewY: view.y };
+      root.setPointerCapture?.(event.pointerId);
+      root.classList.add('is-panning');
+    });
+    root.addEventListener('pointermove', (event) => {
+      if (!drag) return;
+      const rect = root.getBoundingClientRect();
+      const ratio = rect.width ? width / view.scale / rect.width : 1;
+      view.x = drag.viewX - (event.clientX - drag.x) * ratio;
+      view.y = drag.viewY - (event.clientY - drag.y) * ratio;
+      applyView();
+    });
+    const endDrag = () => {
+      drag = null;
+      root.classList.remove('is-panning');
+    };
+    root.addEventListener('pointerup', endDrag);
+    root.addEventListener('pointercancel', endDrag);
+    root.addEventListener(
+      'wheel',
+      (event) => {
+        event.preventDefault();
+        const rect = root.getBoundingClientRect();
+        const anchorX = rect.width ? (event.clientX - rect.left) / rect.width : 0.5;
+        const anchorY = rect.height ? (event.clientY - rect.top) / rect.height : 0.5;
+        zoom(event.deltaY < 0 ? 1.15 : 1 / 1.15, anchorX, anchorY);
+      },
+      { passive: false }
+    );
+    root.addEventListener('click', (event) => {
+      const group = event.target.closest('.skill-graph-node');
+      if (!group) return;
+      focusNode(group.dataset.skillId);
+      onToggle(group.dataset.skillId);
+    });
+    toolbar.addEventListener('click', (event) => {
+      const button = event.target.closest('[data-graph-zoom]');
+      if (!button) return;
+      const action = button.dataset.graphZoom;
+      if (action === 'reset') {
+        Object.assign(view, { x: 0, y: 0, scale: 1 });
+        applyView();
+      } else {
+        zoom(action === 'in' ? 1.2 : 1 / 1.2);
+      }
+    });
+
+    // states: skill id -> { selected, locked, missing }
+    const update = (states) => {
+      states.forEach((state, id) => {
+        const group = nodeElements.get(id);
+        if (!group) return;
+        group.classList.toggle('is-selected', state.selected);
+        group.classList.toggle('is-locked', state.locked);
+        group.classList.toggle('is-missing', state.missing);
+        group.setAttribute('aria-pressed', String(state.selected));
+        group.setAttribute('aria-disabled', String(state.locked));
+        group.setAttribute(
+          'aria-label',
+          `${positions.get(id).node.name}, ${positions.get(id).node.cost} points${
+            state.selected ? ', selected' : state.locked ? ', locked' : ''
+          }`
+        );
+      });
+      edgeElements.forEach(({ path, from, to }) => {
+        path.classList.toggle('is-active', Boolean(states.get(from)?.selected && states.get(to)?.selected));
+      });
+    };
+
+    nodeElements.get(focusedId)?.setAttribute('tabindex', '0');
+    applyView();
+    return { element: wrapper, update };
+  };
+
+  return { create };
+})();
+
+// SkillView presents the community-sourced skill planner with branching layout and point tracking.
+const SkillView = (() => {
+  const container = document.getElementById('skill-phases');
+  const totalDisplay = document.getElementById('skill-points-total');
+  const availableDisplay = document.getElementById('skill-points-available');
+  const remainingDisplay = document.getElementById('skill-points-remaining');
+  const levelInput = document.getElementById('skill-player-level');
+  const strictToggle = document.getElementById('skill-strict-cap');
+  const viewButtons = Array.from(document.querySelectorAll('[data-skill-view]'));
+  const TOOLTIP_DELAY = 150;
+  const activeTooltips = new Map();
+  let overPointCap = false;
+  let bound = false;
+  let graph = null;
+
+  const { getSelected, setSelected } = SkillPlanner;
+
+  const describeRequirements = (node) => {
+    const parents = SkillPlanner.getPrerequisites(node.id);
+    return parents.length ? `Requires ${parents.map((parent) => parent.name).join(', ')}` : '';
+  };
+
+  // Locked nodes cannot be ticked; selected nodes whose prerequisite went
+  // missing (e.g. from an older save) are flagged rather than dropped. In
+  // strict mode nodes that would overspend the budget are locked too.
+  const getNodeState = (node, selected) => {
+    const isChecked = Boolean(selected[node.id]);
+    const unlocked = SkillPlanner.isUnlocked(node.id, selected);
+    const affordable = isChecked || !SkillPlanner.getSettings().strict || SkillPlanner.canAfford(node.id, selected);
+    let note = '';
+    if (!unlocked) {
+      note = describeRequirements(node);
+    } else if (!affordable) {
+      note = `Needs ${node.cost} points, ${Math.max(getRemainingPoints(selected), 0)} left`;
+    }
+    return {
+      selected: isChecked,
+      locked: (!unlocked || !affordable) && !isChecked,
+      missing: !unlocked && isChecked,
+      note
+    };
+  };
+
+  const applyNodeState = (item, node, selected) => {
+    const state = getNodeState(node, selected);
+    const checkbox = item.querySelector('input[data-skill-id]');
+    const requires = item.querySelector('[data-skill-requires]');
+    item.classList.toggle('completed', state.selected);
+    item.classList.toggle('locked', state.locked);
+    item.classList.toggle('missing-prerequisite', state.missing);
+    checkbox.checked = state.selected;
+    checkbox.disabled = state.locked;
+    requires.textContent = state.note;
+    requires.hidden = !state.note;
+  };
+
+  const getRemainingPoints = (selected = getSelected()) =>
+    SkillPlanner.getAvailablePoints() - SkillPlanner.calculatePoints(selected);
+
+  const refreshNodeStates = () => {
+    const selected = getSelected();
+    container.querySelectorAll('.skill-node').forEach((item) => {
+      applyNodeState(item, SkillPlanner.getNode(item.dataset.skillId), selected);
+    });
+    if (graph) {
+      const states = new Map();
+      DataRepository.skillBranches.forEach((branch) =>
+        branch.nodes.forEach((node) => states.set(node.id, getNodeState(node, selected)))
+      );
+      graph.update(states);
+    }
+    updateAllBranches();
+    calculatePoints();
+  };
+
+  const renderNode = (node, branch) => {
+    const selected = getSelected();
+    const isChecked = Boolean(selected[node.id]);
+    const item = Utils.createElement('div', {
+      className: `skill-node${isChecked ? ' completed' : ''}`,
+      attrs: {
+        'data-skill-id': node.id,
+        'data-branch-id': branch.id,
+        'data-skill-cost': node.cost
+      }
+    });
+
+    item.innerHTML = `
+      <div class="skill-node-header">
+        <span class="skill-order">${node.order}</span>
+        <div class="skill-node-title">
+          <h4>${node.name}</h4>
+          <p>${node.focus}</p>
+          <p class="skill-node-requires" data-skill-requires></p>
+        </div>
+        <div class="skill-node-actions">
+          <button class="icon-button info" type="button" aria-label="Skill info" data-skill-id="${node.id}">
+            <i class="fa-solid fa-circle-info"></i>
+          </button>
+          <label>
+            <span class="sr-only">Mark ${node.name} acquired</span>
+            <input type="checkbox" ${isChecked ? 'checked' : ''} data-skill-id="${node.id}" data-branch-id="${branch.id}" />
+          </label>
+        </div>
+      </div>
+    `;
+
+    item.dataset.skillDescription = node.description;
+    item.dataset.skillFocus = node.focus;
+    item.dataset.skillCommunity = node.community;
+    item.dataset.skillOrder = node.order;
+    item.dataset.skillCost = node.cost;
+    applyNodeState(item, node, selected);
+
+    return item;
+  };
+
+  const renderBranch = (branch) => {
+    const section = Utils.createElement('section', {
+      className: 'skill-branch',
+      attrs: { 'data-branch-id': branch.id }
+    });
+    section.style.setProperty('--branch-color', branch.color ?? 'var(--color-accent)');
+    const nodesContainer = Utils.createElement('div', { className: 'skill-branch-track' });
+
+    const sourceMarkup = branch.source
+      ? `<span class="skill-branch-source"><i class="fa-solid fa-users"></i> ${branch.source}</span>`
+      : '';
+
+    const progressMeta = `
+      <div class="skill-branch-meta">
+        <span class="skill-branch-progress" data-branch-progress>${branch.nodes.length} steps</span>
+        <div class="skill-branch-budget" data-branch-budget>
+          <span></span>
+          <div class="resource-progress"><span></span></div>
+        </div>
+        ${sourceMarkup}
+      </div>
+    `;
+
+    section.innerHTML = `
+      <header class="skill-branch-header">
+        <div class="skill-branch-title">
+          <h3><i class="fa-solid ${branch.icon}"></i> ${branch.name}</h3>
+          <p>${branch.summary}</p>
+        </div>
+        ${progressMeta}
+      </header>
+    `;
+
+    branch.nodes.forEach((node) => nodesContainer.appendChild(renderNode(node, branch)));
+    section.appendChild(nodesContainer);
+    return section;
+  };
+
+  const calculatePoints = () => {
+    const total = SkillPlanner.calculatePoints();
+    const available = SkillPlanner.getAvailablePoints();
+    totalDisplay.textContent = total;
+    availableDisplay.textContent = available;
+    remainingDisplay.textContent = available - total;
+    const isOverCap = total > available;
+    totalDisplay.classList.toggle('warning', isOverCap);
+    remainingDisplay.classList.toggle('warning', isOverCap);
+    if (isOverCap && !overPointCap) {
+      Notifier.push(`Skill point budget exceeded by ${total - available}!`);
+    }
+    overPointCap = isOverCap;
+  };
+
+  const updateBranchProgress = (branchId) => {
+    const branch = container.querySelector(`.skill-branch[data-branch-id="${branchId}"]`);
+    if (!branch) return;
+    const nodes = Array.from(branch.querySelectorAll('.skill-node'));
+    const completed = nodes.filter((node) => node.classList.contains('completed')).length;
+    const total = nodes.length;
+    const progress = branch.querySelector('[data-branch-progress]');
+    if (progress) {
+      progress.textContent = `${completed}/${total} steps`;
+    }
+    branch.classList.toggle('complete', completed === total && total > 0);
+
+    const points = SkillPlanner.getBranchPoints(DataRepository.skillBranches.find((entry) => entry.id === branchId));
+    const remaining = getRemainingPoints();
+    const budget = branch.querySelector('[data-branch-budget]');
+    const overBudget = points.toFinish > Math.max(remaining, 0);
+    budget.querySelector('span').textContent = points.toFinish
+      ? `${points.spent}/${points.total} pts · ${points.toFinish} to finish`
+      : `${points.spent}/${points.total} pts`;
+    budget.querySelector('.resource-progress span').style.setProperty(
+      '--progress',
+      `${points.total ? Math.round((points.spent / points.total) * 100) : 0}%`
+    );
+    budget.classList.toggle('over-budget', overBudget);
+    budget.title = overBudget
+      ? `Finishing this route needs ${points.toFinish - Math.max(remaining, 0)} more points than you have left.`
+      : `${Math.max(remaining, 0)} points left to spend.`;
+  };
+
+  const updateAllBranches = () => {
+    DataRepository.skillBranches.forEach((branch) => updateBranchProgress(branch.id));
+  };
+
+  // Unticking a node also removes everything that depends on it, after the
+  // player confirms the list.
+  const confirmCascade = (node, removed) => {
+    const content = Utils.createElement('div');
+    content.appendChild(
+      Utils.createElement('p', {
+        text: `Removing ${node.name} also removes ${removed.length} dependent skill${removed.length === 1 ? '' : 's'}:`
+      })
+    );
+    const list = Utils.createElement('ul', { className: 'skill-cascade-list' });
+    removed.forEach((dependant) => {
+      list.appendChild(Utils.createElement('li', { text: `${dependant.name} (${dependant.cost} pts)` }));
+    });
+    content.appendChild(list);
+    const refund = Utils.sum([node, ...removed].map((entry) => Number(entry.cost || 0)));
+    content.appendChild(Utils.createElement('p', { text: `${refund} points will be refunded.` }));
+
+    let confirmed = false;
+    Modal.open({
+      title: 'Remove dependent skills?',
+      icon: 'fa-diagram-project',
+      content,
+      onClose: () => {
+        if (!confirmed) refreshNodeStates();
+      },
+      actions: [
+        { label: 'Keep skills' },
+        {
+          label: `Remove ${removed.length + 1} skills`,
+          primary: true,
+          onClick: () => {
+            confirmed = true;
+            const selected = getSelected();
+            [node, ...removed].forEach((entry) => delete selected[entry.id]);
+            setSelected(selected);
+            refreshNodeStates();
+          }
+        }
+      ]
+    });
+  };
+
+  const toggleSkill = (skillId, checked) => {
+    const selected = getSelected();
+    const node = SkillPlanner.getNode(skillId);
+    if (checked) {
+      if (!SkillPlanner.isUnlocked(skillId, selected)) {
+        Notifier.push(`${describeRequirements(node)} first.`);
+        refreshNodeStates();
+        return;
+      }
+      if (SkillPlanner.getSettings().strict && !SkillPlanner.canAfford(skillId, selected)) {
+        Notifier.push(`Not enough points for ${node.name}: it costs ${node.cost}, ${getRemainingPoints(selected)} left.`);
+        refreshNodeStates();
+        return;
+      }
+      selected[skillId] = true;
+    } else {
+      const removed = SkillPlanner.collectDependants(skillId, selected);
+      if (removed.length) {
+        confirmCascade(node, removed);
+        return;
+      }
+      delete selected[skillId];
+    }
+    setSelected(selected);
+    refreshNodeStates();
+  };
+
+  const hideTooltip = (id) => {
+    const tooltip = activeTooltips.get(id);
+    if (tooltip) {
+      tooltip.remove();
+      activeTooltips.delete(id);
+    }
+  };
+
+  const showTooltip = (button) => {
+    const node = button.closest('.skill-node');
+    const id = node.dataset.skillId;
+    if (activeTooltips.has(id)) {
+      hideTooltip(id);
+      return;
+    }
+
+    const tooltip = Utils.createElement('div', { className: 'skill-tooltip' });
+    const description = node.dataset.skillDescription;
+    const focus = node.dataset.skillFocus;
+    const community = node.dataset.skillCommunity;
+    const order = node.dataset.skillOrder;
+    const cost = node.dataset.skillCost;
+
+    tooltip.innerHTML = `
+      <h5>${node.querySelector('h4').textContent}</h5>
+      <p>${description}</p>
+      <dl class="skill-tooltip-details">
+        <dt>Focus</dt>
+        <dd>${focus}</dd>
+        <dt>Community insight</dt>
+        <dd>${community}</dd>
+        <dt>Recommended tier</dt>
+        <dd>${order}</dd>
+        <dt>Point cost</dt>
+        <dd>${cost}</dd>
+      </dl>
+    `;
+
+    node.appendChild(tooltip);
+    activeTooltips.set(id, tooltip);
+    document.addEventListener(
+      'click',
+      (event) => {
+        if (!node.contains(event.target)) {
+          hideTooltip(id);
+        }
+      },
+      { once: true }
+    );
+  };
+
+  const bindInteractions = () => {
+    container.querySelectorAll('input[data-skill-id]').forEach((checkbox) => {
+      checkbox.addEventListener('change', () => toggleSkill(checkbox.dataset.skillId, checkbox.checked));
+    });
+
+    container.querySelectorAll('button.info').forEach((button) => {
+      let timer;
+      button.addEventListener('click', () => showTooltip(button));
+      button.addEventListener('focus', () => {
+        timer = setTimeout(() => showTooltip(button), TOOLTIP_DELAY);
+      });
+      button.addEventListener('blur', () => {
+        clearTimeout(timer);
+        const node = button.closest('.skill-node');
+        hideTooltip(node.dataset.skillId);
+      });
+    });
+  };
+
+  // The graph has no room for inline tooltips, so details open in a dialog.
+  const openDetails = (skillId) => {
+    const node = SkillPlanner.getNode(skillId);
+    const content = Utils.createElement('div', { className: 'skill-details' });
+    content.innerHTML = `
+      <p>${node.description}</p>
+      <dl class="skill-tooltip-details">
+        <dt>Focus</dt>
+        <dd>${node.focus}</dd>
+        <dt>Community insight</dt>
+        <dd>${node.community}</dd>
+        <dt>Recommended tier</dt>
+        <dd>${node.order}</dd>
+        <dt>Point cost</dt>
+        <dd>${node.cost}</dd>
+      </dl>
+    `;
+    const note = getNodeState(node, getSelected()).note;
+    if (note) content.appendChild(Utils.createElement('p', { className: 'skill-node-requires', text: note }));
+    Modal.open({ title: node.name, icon: node.branch.icon, content });
+  };
+
+  const applyViewMode = () => {
+    const mode = SkillPlanner.getSettings().view;
+    container.classList.toggle('is-graph', mode === 'graph');
+    viewButtons.forEach((button) => button.setAttribute('aria-pressed', String(button.dataset.skillView === mode)));
+  };
+
+  const init = () => {
+    activeTooltips.forEach((tooltip) => tooltip.remove());
+    activeTooltips.clear();
+    overPointCap = false;
+    container.innerHTML = '';
+
+    const tree = Utils.createElement('div', { className: 'skill-tree' });
+    DataRepository.skillBranches.forEach((branch) => tree.appendChild(renderBranch(branch)));
+    graph = SkillGraph.create({
+      onToggle: (skillId) => toggleSkill(skillId, !getSelected()[skillId]),
+      onInfo: openDetails
+    });
+    container.append(tree, graph.element);
+    applyViewMode();
+
+    bindInteractions();
+    const settings = SkillPlanner.getSettings();
+    levelInput.value = settings.playerLevel ?? '';
+    strictToggle.checked = settings.strict;
+    refreshNodeStates();
+    if (bound) return;
+    bound = true;
+    viewButtons.forEach((button) =>
+      button.addEventListener('click', () => {
+        SkillPlanner.updateSettings({ view: button.dataset.skillView });
+        applyViewMode();
+      })
+    );
+    levelInput.addEventListener('change', () => {
+      const level = Math.floor(Number(levelInput.value));
+      const playerLevel = levelInput.value === '' || !level ? null : Utils.clamp(level, 1, SkillPlanner.MAX_POINTS);
+      levelInput.value = playerLevel ?? '';
+      SkillPlanner.updateSettings({ playerLevel });
+      refreshNodeStates();
+    });
+    strictToggle.addEventListener('change', () => {
+      SkillPlanner.updateSettings({ strict: strictToggle.checked });
+      refreshNodeStates();
+      if (strictToggle.checked && getRemainingPoints() < 0) {
+        Notifier.push('Your current picks already exceed the budget. Remove skills to get back under it.');
+      }
+    });
+  };
+
+  return { init, calculatePoints };
+})();
+
+// SkillBuildView manages the named skill builds of the active profile, the
+// branch-by-branch comparison between two of them and the respec planner.
+const SkillBuildView = (() => {
+  const select = document.getElementById('skill-build-select');
+  const newButton = document.getElementById('skill-build-new');
+  const cloneButton = document.getElementById('skill-build-clone');
+  const renameButton = document.getElementById('skill-build-rename');
+  const deleteButton = document.getElementById('skill-build-delete');
+  const compareToggle = document.getElementById('skill-build-compare-toggle');
+  const comparePanel = document.getElementById('skill-build-compare');
+  const compareSelect = document.getElementById('skill-build-compare-select');
+  const compareTable = document.getElementById('skill-build-compare-table');
+  const respecPanel = document.getElementById('skill-respec');
+  const respecFrom = document.getElementById('skill-respec-from');
+  const respecTo = document.getElementById('skill-respec-to');
+  const respecPlan = document.getElementById('skill-respec-plan');
+  let bound = false;
+
+  const populate = () => {
+    const builds = SkillPlanner.listBuilds();
+    const active = builds.find((build) => build.active);
+    select.innerHTML = '';
+    builds.forEach((build) => {
+      select.appendChild(
+        Utils.createElement('option', {
+          text: build.active ? `★ ${build.name} (active)` : build.name,
+          attrs: { value: build.id }
+        })
+      );
+    });
+    select.value = active.id;
+    deleteButton.disabled = builds.length <= 1;
+
+    const previous = compareSelect.value;
+    compareSelect.innerHTML = '';
+    builds
+      .filter((build) => !build.active)
+      .forEach((build) => {
+        compareSelect.appendChild(Utils.createElement('option', { text: build.name, attrs: { value: build.id } }));
+      });
+    if (builds.some((build) => build.id === previous && !build.active)) compareSelect.value = previous;
+    compareToggle.disabled = builds.length <= 1;
+    if (builds.length <= 1) setCompareOpen(false);
+
+    // The respec plan starts from the active build unless another is picked.
+    const previousTarget = respecTo.value;
+    [respecFrom, respecTo].forEach((target) => {
+      target.innerHTML = '';
+      builds.forEach((build) => {
+        target.appendChild(
+          Utils.createElement('option', {
+            text: build.active ? `${build.name} (active)` : build.name,
+            attrs: { value: build.id }
+          })
+        );
+      });
+    });
+    respecFrom.value = active.id;
+    respecTo.value =
+      previousTarget !== active.id && builds.some((build) => build.id === previousTarget)
+        ? previousTarget
+        : (builds.find((build) => !build.active) ?? active).id;
+  };
+
+  const renderRespec = () => {
+    respecPlan.innerHTML = '';
+    if (!respecPanel.open) return;
+    const builds = SkillPlanner.listBuilds();
+    const from = builds.find((build) => build.id === respecFrom.value);
+    const to = builds.find((build) => build.id === respecTo.value);
+    if (!from || !to) return;
+    if (from.id === to.id) {
+      respecPlan.appendChild(Utils.createElement('p', { className: 'compare-empty', text: 'Pick two different builds.' }));
+      return;
+    }
+    const plan = SkillPlanner.planRespec(from.selected, to.selected);
+    respecPlan.appendChild(
+      Utils.createElement('p', {
+        className: 'compare-summary',
+        text: `${plan.steps.length} change${plan.steps.length === 1 ? '' : 's'} · refund ${plan.refunded} pts, spend ${
+          plan.spent
+        } pts · ${plan.startPoints} → ${plan.endPoints} of ${plan.cap} pts`
+      })
+    );
+    if (plan.invalidTarget.length) {
+      respecPlan.appendChild(
+        Utils.createElement('p', {
+          className: 'warning',
+          text: `${to.name} picks skills without their prerequisites: ${plan.invalidTarget
+            .map((node) => node.name)
+            .join(', ')}.`
+        })
+      );
+    }
+    if (plan.endPoints > plan.cap) {
+      respecPlan.appendChild(
+        Utils.createElement('p', {
+          className: 'warning',
+          text: `${to.name} needs ${plan.endPoints - plan.cap} more points than the ${plan.cap} available.`
+        })
+      );
+    }
+    if (!plan.steps.length) {
+      respecPlan.appendChild(Utils.createElement('p', { className: 'compare-empty', text: 'Both builds pick the same skills.' }));
+      return;
+    }
+    const list = Utils.createElement('ol', { className: 'skill-respec-steps' });
+    plan.steps.forEach((step) => {
+      const isDrop = step.action === 'drop';
+      list.appendChild(
+        Utils.createElement('li', {
+          className: `skill-respec-step skill-respec-step--${step.action}${step.overCap ? ' over-cap' : ''}`,
+          html: `
+            <i class="fa-solid ${isDrop ? 'fa-minus' : 'fa-plus'}"></i>
+            <span>${isDrop ? 'Drop' : 'Pick'} ${step.node.name} <small>${step.node.branch.name}</small></span>
+            <strong>${isDrop ? '−' : '+'}${step.node.cost}</strong>
+            <span class="skill-respec-total">${step.points} pts</span>
+          `
+        })
+      );
+    });
+    respecPlan.appendChild(list);
+    if (to.active) return;
+    const switchButton = Utils.createElement('button', { className: 'icon-button', attrs: { type: 'button' } });
+    switchButton.append(Utils.createElement('i', { className: 'fa-solid fa-right-left' }), ` Switch to ${to.name}`);
+    switchButton.addEventListener('click', () => {
+      SkillPlanner.activateBuild(to.id);
+      refresh();
+      Notifier.push(`Switched to ${to.name}.`);
+    });
+    respecPlan.appendChild(switchButton);
+  };
+
+  const renderComparison = () => {
+    compareTable.innerHTML = '';
+    if (comparePanel.hidden) return;
+    const builds = SkillPlanner.listBuilds();
+    const a = builds.find((build) => build.active);
+    const b = builds.find((build) => build.id === compareSelect.value);
+    if (!b) return;
+    const scale = Math.max(
+      1,
+      ...DataRepository.skillBranches.map((branch) => SkillPlanner.getBranchPoints(branch).total)
+    );
+    const table = Utils.createElement('table', { className: 'compare-table skill-build-table' });
+    // Build names are user input and also arrive through imports.
+    const headRow = document.createElement('tr');
+    ['Route', a.name, b.name, 'Difference'].forEach((label) =>
+      headRow.appendChild(Utils.createElement('th', { text: label }))
+    );
+    table.createTHead().appendChild(headRow);
+    const body = document.createElement('tbody');
+    const bar = (points, color) =>
+      `<div class="resource-progress"><span style="--progress: ${Math.round((points / scale) * 100)}%; background: ${color}"></span></div>`;
+    DataRepository.skillBranches.forEach((branch) => {
+      const pointsA = SkillPlanner.getBranchPoints(branch, a.selected).spent;
+      const pointsB = SkillPlanner.getBranchPoints(branch, b.selected).spent;
+      const delta = pointsB - pointsA;
+      const row = document.createElement('tr');
+      row.innerHTML = `
+        <td><i class="fa-solid ${branch.icon}"></i> ${branch.name}</td>
+        <td>${pointsA} pts ${bar(pointsA, branch.color)}</td>
+        <td>${pointsB} pts ${bar(pointsB, branch.color)}</td>
+        <td>${delta > 0 ? `+${delta}` : delta}</td>
+      `;
+      body.appendChild(row);
+    });
+    const totalA = SkillPlanner.calculatePoints(a.selected);
+    const totalB = SkillPlanner.calculatePoints(b.selected);
+    const totalRow = document.createElement('tr');
+    totalRow.className = 'skill-build-total';
+    totalRow.innerHTML = `<td>Total</td><td>${totalA} pts</td><td>${totalB} pts</td><td>${
+      totalB - totalA > 0 ? `+${totalB - totalA}` : totalB - totalA
+    }</td>`;
+    body.appendChild(totalRow);
+    table.appendChild(body);
+    compareTable.appendChild(table);
+  };
+
+  const setCompareOpen = (open) => {
+    comparePanel.hidden = !open;
+    compareToggle.setAttribute('aria-pressed', String(open));
+    renderComparison();
+  };
+
+  const promptName = ({ title, icon, value = '', confirmLabel, onSubmit }) => {
+    const content = Utils.createElement('label', { className: 'skill-build-name' });
+    content.appendChild(Utils.createElement('span', { text: 'Build name' }));
+    const input = Utils.createElement('input', { attrs: { type: 'text', maxlength: '40', value } });
+    content.appendChild(input);
+    const submit = () => {
+      if (!input.value.trim()) {
+        Notifier.push('Give the build a name.');
+        return false;
+      }
+      onSubmit(input.value.trim());
+    };
+    input.addEventListener('keydown', (event) => {
+      if (event.key === 'Enter' && submit() !== false) Modal.close();
+    });
+    Modal.open({ title, icon, content, actions: [{ label: 'Cancel' }, { label: confirmLabel, primary: true, onClick: submit }] });
+    input.focus();
+  };
+
+  // Switching builds swaps skills:selected, so the tree is rebuilt from it.
+  const refresh = () => {
+    SkillView.init();
+    populate();
+    renderComparison();
+    renderRespec();
+  };
+
+  const init = () => {
+    populate();
+    renderComparison();
+    renderRespec();
+    if (bound) return;
+    bound = true;
+    select.addEventListener('change', () => {
+      SkillPlanner.activateBuild(select.value);
+      refresh();
+      Notifier.push(`Switched to ${SkillPlanner.getActiveBuild().name}.`);
+    });
+    newButton.addEventListener('click', () =>
+      promptName({
+        title: 'New skill build',
+        icon: 'fa-plus',
+        confirmLabel: 'Create',
+        onSubmit: (name) => {
+          SkillPlanner.activateBuild(SkillPlanner.createBuild(name).id);
+          refresh();
+          Notifier.push(`Created ${name}.`);
+        }
+      })
+    );
+    cloneButton.addEventListener('click', () => {
+      const copy = SkillPlanner.cloneBuild(select.value);
+      if (!copy) return;
+      SkillPlanner.activateBuild(copy.id);
+      refresh();
+      Notifier.push(`Created ${copy.name}.`);
+    });
+    renameButton.addEventListener('click', () => {
+      const build = SkillPlanner.getActiveBuild();
+      promptName({
+        title: 'Rename build',
+        icon: 'fa-pen',
+        value: build.name,
+        confirmLabel: 'Rename',
+        onSubmit: (name) => {
+          SkillPlanner.renameBuild(build.id, name);
+          populate();
+          renderComparison();
+          renderRespec();
+        }
+      });
+    });
+    deleteButton.addEventListener('click', () => {
+      const build = SkillPlanner.getActiveBuild();
+      Modal.open({
+        title: 'Delete build?',
+        icon: 'fa-trash',
+        content: Utils.createElement('p', {
+          text: `${build.name} and its ${SkillPlanner.calculatePoints(build.selected)} points of picks will be deleted.`
+        }),
+        actions: [
+          { label: 'Cancel' },
+          {
+            label: 'Delete build',
+            primary: true,
+            onClick: () => {
+              if (SkillPlanner.deleteBuild(build.id)) {
+                refresh();
+                Notifier.push(`Deleted ${build.name}.`);
+              }
+            }
+          }
+        ]
+      });
+    });
+    compareToggle.addEventListener('click', () => setCompareOpen(comparePanel.hidden));
+    compareSelect.addEventListener('change', renderComparison);
+    respecPanel.addEventListener('toggle', renderRespec);
+    respecFrom.addEventListener('change', renderRespec);
+    respecTo.addEventListener('change', renderRespec);
+    StorageManager.subscribe(SkillPlanner.SELECTED_KEY, () => {
+      renderComparison();
+      renderRespec();
+    });
+  };
+
+  return { init };
+})();
+
+// DataTransfer enables exporting/importing the saved progress to JSON files.
+const DataTransfer = (() => {
+  const exportButton = document.getElementById('export-data');
+  const importInput = document.getElementById('import-data');
+
+  const download = (filename, content) => {
+    const blob = new Blob([content], { type: 'application/json' });
+    const url = URL.createObjectURL(blob);
+    const link = document.createElement('a');
+    link.href = url;
+    link.download = filename;
+    document.body.appendChild(link);
+    link.click();
+    document.body.removeChild(link);
+    URL.revokeObjectURL(url);
+  };
+
+  const FORMAT = 'arc-raiders-tracker';
+
+  // JSON with sorted object keys, so equal data always hashes the same.
+  const stableStringify = (value) => {
+    if (Array.isArray(value)) return `[${value.map(stableStringify).join(',')}]`;
+    if (value && typeof value === 'object') {
+      return `{${Object.keys(value)
+        .sort()
+        .map((key) => `${JSON.stringify(key)}:${stableStringify(value[key])}`)
+        .join(',')}}`;
+    }
+    return JSON.stringify(value);
+  };
+
+  // FNV-1a over the data payload; detects truncated or hand-edited files.
+  const checksum = (data) => {
+    let hash = 0x811c9dc5;
+    const text = stableStringify(data);
+    for (let index = 0; index < text.length; index += 1) {
+      hash ^= text.charCodeAt(index);
+      hash = Math.imul(hash, 0x01000193) >>> 0;
+    }
+    return `fnv1a-${hash.toString(16).padStart(8, '0')}`;
+  };
+
+  const isEnvelope = (file) => file.format === FORMAT && Boolean(file.data) && typeof file.data === 'object';
+
+  const wrap = (data, { sections, profileName }) => ({
+    format: FORMAT,
+    appVersion: APP_VERSION,
+    schemaVersion: StorageManager.getSchemaVersion(),
+    exportedAt: new Date().toISOString(),
+    profile: { name: profileName },
+    sections,
+    checksum: checksum(data),
+    data
+  });
+
+  const buildEnvelope = (sections) => {
+    const include = new Set(sections);
+    const data = {};
+    Object.entries(StorageManager.snapshot()).forEach(([key, value]) => {
+      const described = ProgressSchema.describe(key);
+      if (described && include.has(described.section)) data[key] = value;
     });
+    return wrap(data, { sections, profileName: ProfileManager.getActive().name });
   };
 
-  const init = () => {
-    container.innerHTML = '';
-    DataRepository.workshopStations.forEach((station) => {
-      const card = renderStation(station);
-      if (card) {
-        container.appendChild(card);
-        bindInputs(card);
-      }
+  const openExportDialog = () => {
+    const content = Utils.createElement('div', { className: 'import-preview' });
+    const sectionList = Utils.createElement('fieldset', { className: 'import-preview__sections' });
+    sectionList.appendChild(Utils.createElement('legend', { text: 'Include' }));
+    Object.entries(ProgressSchema.SECTIONS).forEach(([sectionId, sectionName]) => {
+      const label = Utils.createElement('label', { className: 'toggle' });
+      const input = Utils.createElement('input', { attrs: { type: 'checkbox', value: sectionId } });
+      input.checked = true;
+      label.append(input, Utils.createElement('span', { text: sectionName }));
+      sectionList.appendChild(label);
+    });
+    content.appendChild(sectionList);
+    content.appendChild(
+      Utils.createElement('p', {
+        className: 'import-preview__empty',
+        text: `Exporting profile “${ProfileManager.getActive().name}”. Partial exports only replace their own sections when imported.`
+      })
+    );
+
+    Modal.open({
+      title: 'Export progress',
+      icon: 'fa-file-export',
+      content,
+      actions: [
+        { label: 'Cancel' },
+        {
+          label: 'Download',
+          primary: true,
+          onClick: () => {
+            const sections = Array.from(sectionList.querySelectorAll('input:checked')).map((input) => input.value);
+            if (!sections.length) {
+              Notifier.push('Pick at least one section to export.');
+              return false;
+            }
+            const envelope = buildEnvelope(sections);
+            const suffix = sections.length === Object.keys(ProgressSchema.SECTIONS).length ? '' : `-${sections.join('-')}`;
+            download(
+              `arc-raiders-progress${suffix}-${envelope.exportedAt}.json`,
+              JSON.stringify(envelope, null, 2)
+            );
+            Notifier.push('Progress exported to JSON.');
+          }
+        }
+      ]
     });
   };
 
-  return { init };
-})();
+  const MODES = [
+    { id: 'replace', label: 'Replace everything', hint: 'Overwrites the sections in the file. Entries the file does not contain are cleared.' },
+    { id: 'merge', label: 'Merge, keep the higher value', hint: 'Counts keep the larger number, finished objectives and skills are combined.' },
+    { id: 'sections', label: 'Merge selected sections only', hint: 'Like merge, but only for the sections ticked below.' }
+  ];
 
+  const formatValue = (value) => {
+    if (value === null || value === undefined) return '—';
+    if (typeof value === 'boolean') return value ? 'Yes' : 'No';
+    if (typeof value === 'object') {
+      const size = Object.keys(value).length;
+      return `${size} ${size === 1 ? 'entry' : 'entries'}`;
+    }
+    return String(value);
+  };
 
-// QuestView manages quest rendering, filtering, persistence and completion logic.
-const QuestView = (() => {
-  const container = document.getElementById('quest-grid');
-  const searchInput = document.getElementById('quest-search');
-  const traderFilter = document.getElementById('quest-trader-filter');
-  const incompleteOnlyToggle = document.getElementById('quest-incomplete-only');
-  const traderMeta = DataRepository.traderMeta ?? {};
-  const mapVisuals = DataRepository.mapVisuals ?? {};
-  const FILTER_KEY = 'quest:filters';
-  let activeFilters = StorageManager.get(FILTER_KEY, {
-    search: '',
-    trader: 'all',
-    incompleteOnly: false
-  });
+  const isSame = (a, b) => JSON.stringify(a ?? null) === JSON.stringify(b ?? null);
 
-  const buildObjectiveKey = (questId, index) => Utils.formatKey('quest', questId, index);
+  // Brings an export, envelope or raw snapshot up to the current schema and
+  // validates every key. Throws with a readable message when it cannot.
+  const normalize = (file) => {
+    if (!file || typeof file !== 'object' || Array.isArray(file)) {
+      throw new Error('The imported file does not contain tracker progress.');
+    }
+    const envelope = isEnvelope(file) ? file : null;
+    const data = envelope ? envelope.data : file;
+    if (!data || typeof data !== 'object' || Array.isArray(data)) {
+      throw new Error('The imported file does not contain tracker progress.');
+    }
+    const version = Number((envelope ? envelope.schemaVersion : data[StorageManager.SCHEMA_KEY]) ?? 1) || 1;
+    if (version > StorageManager.getSchemaVersion()) {
+      throw new Error('This file was saved by a newer version of the tracker. Update the page and try again.');
+    }
+    const source = envelope ? { ...data, [StorageManager.SCHEMA_KEY]: version } : data;
+    const migrated = version < StorageManager.getSchemaVersion() ? StorageManager.migrateSnapshot(source) : source;
+    const { entries, invalid } = ProgressSchema.validate(migrated);
+    const progress = entries.filter((entry) => entry.section !== 'meta');
+    return {
+      entries: progress,
+      data: Object.fromEntries(progress.map((entry) => [entry.key, entry.value])),
+      invalid,
+      envelope,
+      checksumValid: envelope ? checksum(data) === envelope.checksum : null,
+      scope: envelope && Array.isArray(envelope.sections) ? new Set(envelope.sections) : null
+    };
+  };
 
-  const computeQuestProgress = (quest) => {
-    const totalObjectives = quest.objectives.length;
-    if (!totalObjectives) return 0;
-    const completedCount = quest.objectives.reduce((total, _objective, index) => {
-      const key = buildObjectiveKey(quest.id, index);
-      return total + (StorageManager.get(key, false) ? 1 : 0);
-    }, 0);
-    return Math.round((completedCount / totalObjectives) * 100);
+  const prepareImport = (file) => {
+    try {
+      return { ...normalize(file), current: StorageManager.snapshot() };
+    } catch (error) {
+      Notifier.push(error.message);
+      return null;
+    }
   };
 
-  const renderQuestCard = (quest) => {
-    const card = Utils.createElement('article', {
-      className: 'card quest-card open',
-      attrs: {
-        'data-trader': quest.trader,
-        'data-quest-id': quest.id
+  // Works out the writes and removals the chosen mode would perform.
+  const planChanges = ({ entries, current, scope }, mode, sections) => {
+    const changes = [];
+    const incomingKeys = new Set(entries.map((entry) => entry.key));
+    entries.forEach((entry) => {
+      if (mode === 'sections' && !sections.has(entry.section)) return;
+      const before = current[entry.key];
+      const after = mode === 'replace' ? entry.value : ProgressSchema.mergeValue(entry.rule, before, entry.value);
+      if (!isSame(before, after)) {
+        changes.push({ key: entry.key, section: entry.section, label: entry.label, before, after });
       }
     });
-    const progress = computeQuestProgress(quest);
-    const traderDetails = traderMeta[quest.trader] ?? { icon: 'fa-user', color: 'var(--color-accent)' };
-    const mapChips = quest.maps
-      .map((location) => `<span class="map-chip">${location}</span>`)
-      .join('');
-    const primaryMap = Array.isArray(quest.maps) ? quest.maps[0] : undefined;
-    const questVisual = Array.isArray(quest.maps)
-      ? quest.maps.map((map) => mapVisuals[map]).find(Boolean)
-      : null;
-    const questMapLabel = questVisual?.label ?? primaryMap ?? 'ARC Raiders';
-    const visualAlt = questVisual?.alt ?? `${questMapLabel} location from ARC Raiders`;
-    const media = questVisual
-      ? `<figure class="card-media quest-media">
-          <img src="${questVisual.url}" alt="${visualAlt}" loading="lazy" decoding="async" referrerpolicy="no-referrer" />
-          <figcaption>${questMapLabel}</figcaption>
-        </figure>`
-      : '';
-
-    card.innerHTML = `
-      ${media}
-      <div class="card-header" role="button" tabindex="0" aria-expanded="true" style="--trader-accent: ${traderDetails.color}">
-        <h3><i class="fa-solid ${quest.icon}"></i> ${quest.name}</h3>
-        <div class="quest-meta">
-          <span class="trader-badge"><i class="fa-solid ${traderDetails.icon}"></i> ${quest.trader}</span>
-          <span>${progress}%</span>
-        </div>
-        <i class="fa-solid fa-chevron-down chevron" aria-hidden="true"></i>
-      </div>
-      <div class="card-body"></div>
-    `;
-    const body = card.querySelector('.card-body');
-    const list = Utils.createElement('div', { className: 'quest-objectives' });
+    if (mode === 'replace') {
+      Object.entries(current).forEach(([key, before]) => {
+        if (incomingKeys.has(key) || key === StorageManager.SCHEMA_KEY) return;
+        const described = ProgressSchema.describe(key);
+        // Partial exports only replace the sections they contain.
+        if (scope && !scope.has(described?.section)) return;
+        changes.push({
+          key,
+          section: described?.section ?? 'meta',
+          label: described?.label ?? key,
+          before,
+          after: null
+        });
+      });
+    }
+    return changes;
+  };
 
-    quest.objectives.forEach((objective, index) => {
-      const key = buildObjectiveKey(quest.id, index);
-      const isComplete = StorageManager.get(key, false);
-      const row = Utils.createElement('label', { className: 'quest-objective' });
-      row.innerHTML = `
-        <input type="checkbox" ${isComplete ? 'checked' : ''} data-storage-key="${key}" />
-        <span>${objective}</span>
-      `;
-      list.appendChild(row);
+  const renderChanges = (container, changes) => {
+    container.innerHTML = '';
+    if (!changes.length) {
+      container.appendChild(
+        Utils.createElement('p', { className: 'import-preview__empty', text: 'Nothing would change with these options.' })
+      );
+      return;
+    }
+    Object.entries({ ...ProgressSchema.SECTIONS, meta: 'Other' }).forEach(([sectionId, sectionName]) => {
+      const rows = changes.filter((change) => change.section === sectionId);
+      if (!rows.length) return;
+      const group = Utils.createElement('details', { className: 'import-preview__group' });
+      group.appendChild(Utils.createElement('summary', { text: `${sectionName} · ${rows.length} change${rows.length === 1 ? '' : 's'}` }));
+      const table = Utils.createElement('table', { className: 'import-preview__table' });
+      table.innerHTML = '<thead><tr><th>Entry</th><th>Current</th><th>Imported</th></tr></thead>';
+      const body = document.createElement('tbody');
+      rows.forEach((change) => {
+        const row = document.createElement('tr');
+        if (change.after === null) row.classList.add('is-removed');
+        [change.label, formatValue(change.before), formatValue(change.after)].forEach((text) =>
+          row.appendChild(Utils.createElement('td', { text }))
+        );
+        body.appendChild(row);
+      });
+      table.appendChild(body);
+      group.appendChild(table);
+      container.appendChild(group);
     });
+  };
 
-    const progressBar = Utils.createElement('div', { className: 'progress-bar' });
-    progressBar.innerHTML = `<span style="width: ${progress}%"></span>`;
-
-    const maps = Utils.createElement('div', {
-      className: 'quest-maps',
-      html: `<i class="fa-solid fa-map-location-dot"></i> ${mapChips || '<span class="map-chip">Any</span>'}`
+  const applyChanges = (changes) => {
+    changes.forEach(({ key, after }) => {
+      if (after === null) {
+        StorageManager.remove(key);
+      } else {
+        StorageManager.set(key, after, { debounce: 0 });
+      }
     });
+    App.reload();
+    Notifier.push(`Progress imported · ${changes.length} change${changes.length === 1 ? '' : 's'} applied.`);
+  };
 
-    const rewards = Utils.createElement('p', {
-      className: 'quest-rewards',
-      html: `<i class="fa-solid fa-gift"></i> Rewards: ${quest.rewards.join(', ')}`
+  const renderSource = ({ envelope, checksumValid, scope }) => {
+    if (!envelope) {
+      return Utils.createElement('p', {
+        className: 'import-preview__source',
+        text: 'Legacy backup without export details.'
+      });
+    }
+    const source = Utils.createElement('dl', { className: 'import-preview__source' });
+    const exportedAt = new Date(envelope.exportedAt);
+    [
+      ['Profile', envelope.profile?.name ?? 'Unknown'],
+      ['Exported', Number.isNaN(exportedAt.getTime()) ? 'Unknown' : exportedAt.toLocaleString()],
+      ['App version', `${envelope.appVersion ?? 'Unknown'} · schema ${envelope.schemaVersion ?? 1}`],
+      ['Sections', scope ? Array.from(scope, (id) => ProgressSchema.SECTIONS[id] ?? id).join(', ') : 'All']
+    ].forEach(([term, detail]) => {
+      source.append(Utils.createElement('dt', { text: term }), Utils.createElement('dd', { text: detail }));
     });
+    if (!checksumValid) {
+      source.appendChild(
+        Utils.createElement('dd', {
+          className: 'import-preview__warning',
+          text: 'Checksum mismatch: the file was edited or is incomplete. Review the changes carefully.'
+        })
+      );
+    }
+    return source;
+  };
 
-    const resetButton = Utils.createElement('button', {
-      className: 'text-button quest-reset',
-      text: 'Reset quest progress',
-      attrs: { type: 'button' }
+  const openPreview = (prepared) => {
+    const content = Utils.createElement('div', { className: 'import-preview' });
+    content.appendChild(renderSource(prepared));
+    const options = Utils.createElement('fieldset', { className: 'import-preview__modes' });
+    options.appendChild(Utils.createElement('legend', { text: 'Import mode' }));
+    MODES.forEach((mode, index) => {
+      const label = Utils.createElement('label', { className: 'import-preview__mode' });
+      const input = Utils.createElement('input', { attrs: { type: 'radio', name: 'import-mode', value: mode.id } });
+      input.checked = index === 0;
+      label.append(input, Utils.createElement('span', { text: mode.label }), Utils.createElement('small', { text: mode.hint }));
+      options.appendChild(label);
+    });
+    content.appendChild(options);
+
+    const sectionList = Utils.createElement('fieldset', { className: 'import-preview__sections' });
+    sectionList.appendChild(Utils.createElement('legend', { text: 'Sections' }));
+    Object.entries(ProgressSchema.SECTIONS).forEach(([sectionId, sectionName]) => {
+      const count = prepared.entries.filter((entry) => entry.section === sectionId).length;
+      const label = Utils.createElement('label', { className: 'toggle' });
+      const input = Utils.createElement('input', { attrs: { type: 'checkbox', value: sectionId } });
+      input.checked = count > 0;
+      input.disabled = count === 0;
+      label.append(input, Utils.createElement('span', { text: `${sectionName} (${count})` }));
+      sectionList.appendChild(label);
     });
+    content.appendChild(sectionList);
 
-    resetButton.addEventListener('click', () => resetQuestProgress(quest, card));
+    const diff = Utils.createElement('div', { className: 'import-preview__diff' });
+    content.appendChild(diff);
 
-    body.append(list, progressBar, maps, rewards, resetButton);
+    if (prepared.invalid.length) {
+      const report = Utils.createElement('details', { className: 'import-preview__invalid' });
+      report.appendChild(
+        Utils.createElement('summary', {
+          text: `${prepared.invalid.length} entr${prepared.invalid.length === 1 ? 'y' : 'ies'} skipped as invalid`
+        })
+      );
+      const list = document.createElement('ul');
+      prepared.invalid.forEach(({ key, reason }) => {
+        list.appendChild(Utils.createElement('li', { text: `${key} — ${reason}` }));
+      });
+      report.appendChild(list);
+      content.appendChild(report);
+    }
 
-    const header = card.querySelector('.card-header');
-    const toggle = () => {
-      const isOpen = card.classList.toggle('open');
-      header.setAttribute('aria-expanded', String(isOpen));
-      card.classList.toggle('collapsed', !isOpen);
-      body.style.maxHeight = isOpen ? `${body.scrollHeight + 16}px` : '0';
-      body.style.paddingTop = isOpen ? 'var(--space-sm)' : '0';
+    let changes = [];
+    const update = () => {
+      const mode = options.querySelector('input[name="import-mode"]:checked').value;
+      const sections = new Set(
+        Array.from(sectionList.querySelectorAll('input:checked')).map((input) => input.value)
+      );
+      sectionList.disabled = mode !== 'sections';
+      changes = planChanges(prepared, mode, sections);
+      renderChanges(diff, changes);
     };
-
-    header.addEventListener('click', toggle);
-    header.addEventListener('keypress', (event) => {
-      if (event.key === 'Enter' || event.key === ' ') {
-        event.preventDefault();
-        toggle();
-      }
+    content.addEventListener('change', update);
+    update();
+
+    Modal.open({
+      title: 'Review import',
+      icon: 'fa-file-import',
+      className: 'modal--wide',
+      content,
+      actions: [
+        { label: 'Cancel' },
+        {
+          label: 'Apply import',
+          primary: true,
+          onClick: () => {
+            if (!changes.length) {
+              Notifier.push('Nothing to import with the selected options.');
+              return;
+            }
+            applyChanges(changes);
+          }
+        }
+      ]
     });
+  };
 
-    updateQuestCompletionState(card, progress);
-    return card;
+  // Opens the import preview for an already parsed file or envelope.
+  const review = (file) => {
+    const prepared = prepareImport(file);
+    if (prepared) openPreview(prepared);
   };
 
-  const resetQuestProgress = (quest, card) => {
-    quest.objectives.forEach((_, index) => {
-      const key = buildObjectiveKey(quest.id, index);
-      StorageManager.set(key, false, { debounce: 0 });
-      const input = card.querySelector(`input[data-storage-key="${key}"]`);
-      if (input) input.checked = false;
+  const init = () => {
+    exportButton.addEventListener('click', openExportDialog);
+
+    importInput.addEventListener('change', (event) => {
+      const [file] = event.target.files;
+      if (!file) return;
+      const reader = new FileReader();
+      reader.onload = () => {
+        let data;
+        try {
+          data = JSON.parse(reader.result);
+        } catch (error) {
+          console.error('Import failed', error);
+          Notifier.push('Failed to import data. Ensure the file is valid JSON.');
+          return;
+        }
+        try {
+          review(data);
+        } catch (error) {
+          console.error('Import failed', error);
+          Notifier.push('Failed to read the imported progress.');
+        }
+      };
+      reader.readAsText(file);
+      importInput.value = '';
     });
+  };
 
-    const progress = computeQuestProgress(quest);
-    updateQuestCompletionState(card, progress);
-    applyFilters(activeFilters);
-    Notifier.push(`${quest.name} progress reset.`);
+  return { init, wrap, normalize, review };
+})();
+
+// ShareView packs skills (and optionally workshop/quest progress) into a URL
+// hash and shows links opened from it read-only in a scratch namespace.
+const ShareView = (() => {
+  const SHARED_NAMESPACE = '__shared';
+  const HASH_PREFIX = '#share=';
+  const shareButton = document.getElementById('share-progress');
+  const banner = document.getElementById('shared-banner');
+  // Exports are labelled with the active profile, not the sharer, so they are
+  // locked along with the profile and import controls.
+  const lockedControls = ['profile-select', 'profile-manage', 'import-data', 'export-data'].map((id) =>
+    document.getElementById(id)
+  );
+  const skillIds = DataRepository.skillBranches.flatMap((branch) => branch.nodes.map((node) => node.id));
+  const objectives = new Map(
+    DataRepository.quests.flatMap((quest) =>
+      quest.objectives.map((objective) => [`${quest.id}:${objective.id}`, { quest, objective }])
+    )
+  );
+  const objectiveIds = Array.from(objectives.keys());
+  const countedObjectiveIds = objectiveIds.filter((id) => QuestPlanner.getTarget(objectives.get(id).objective) > 1);
+  const getObjectiveKey = (id) => {
+    const { quest, objective } = objectives.get(id);
+    return MaterialPlanner.getObjectiveKey(quest.id, objective.id);
+  };
+  const getCountKey = (id) => {
+    const { quest, objective } = objectives.get(id);
+    return QuestPlanner.getCountKey(quest.id, objective.id);
   };
+  const stationIds = DataRepository.workshopStations.map((station) => station.id);
+  const materialIds = Object.values(DataRepository.materialIds);
+  const OPTIONS = [
+    { id: 'workshop', label: 'Workshop progress (built levels and inventory)' },
+    { id: 'quests', label: 'Quest progress' }
+  ];
+  let shared = null;
 
-  const updateQuestCompletionState = (card, progress) => {
-    const wasComplete = card.classList.contains('complete');
-    card.classList.toggle('complete', progress === 100);
-    const meta = card.querySelector('.quest-meta span:last-child');
-    if (meta) meta.textContent = `${progress}%`;
-    const progressBar = card.querySelector('.progress-bar span');
-    if (progressBar) progressBar.style.width = `${progress}%`;
-    if (progress === 100 && !wasComplete) {
-      const questName = card.querySelector('h3').textContent.replace(/\s{2,}/g, ' ').trim();
-      Notifier.push(`${questName} complete!`);
+  const toBase64Url = (bytes) =>
+    btoa(String.fromCharCode(...bytes)).replace(/\+/g, '-').replace(/\//g, '_').replace(/=+$/, '');
+
+  const fromBase64Url = (text) =>
+    Uint8Array.from(atob(text.replace(/-/g, '+').replace(/_/g, '/')), (char) => char.charCodeAt(0));
+
+  // Links name ids rather than positions, so adding or reordering skills,
+  // objectives or materials never remaps an existing link. Ids the tracker no
+  // longer knows are dropped when the link is read.
+  const packFlags = (ids, isSet) => ids.filter((id) => isSet(id));
+
+  const unpackFlags = (ids, list) => (Array.isArray(list) ? ids.filter((id) => list.includes(id)) : []);
+
+  // Only non-zero counts are kept.
+  const packCounts = (ids, getCount) =>
+    Object.fromEntries(ids.map((id) => [id, Number(getCount(id)) || 0]).filter(([, count]) => count > 0));
+
+  const unpackCounts = (ids, counts) =>
+    ids
+      .map((id) => [id, Math.floor(Number(counts?.[id]) || 0)])
+      .filter(([id, count]) => count > 0 && Object.hasOwn(counts, id));
+
+  const encode = (sections) => {
+    const selected = StorageManager.get('skills:selected', {});
+    const payload = {
+      v: StorageManager.getSchemaVersion(),
+      n: ProfileManager.getActive().name,
+      s: packFlags(skillIds, (id) => selected[id])
+    };
+    if (sections.includes('workshop')) {
+      payload.b = packCounts(stationIds, (id) => StorageManager.get(MaterialPlanner.getBuiltKey(id), 0));
+      payload.i = packCounts(materialIds, (id) => StorageManager.get(MaterialPlanner.getInventoryKey(id), 0));
     }
+    if (sections.includes('quests')) {
+      payload.q = packFlags(objectiveIds, (id) => StorageManager.get(getObjectiveKey(id), false));
+      payload.c = packCounts(countedObjectiveIds, (id) => StorageManager.get(getCountKey(id), 0));
+    }
+    const json = new TextEncoder().encode(JSON.stringify(payload));
+    // location.origin is "null" for pages opened from disk, so start from href.
+    // The query only holds this player's quest filters, which would otherwise
+    // send the recipient to the quest log instead of the shared build.
+    const url = new URL(location.href);
+    url.search = '';
+    url.hash = '';
+    return `${url.href}${HASH_PREFIX}${toBase64Url(json)}`;
   };
 
-  const applyFilters = (filters = activeFilters) => {
-    const nextFilters = {
-      search: filters.search || '',
-      trader: filters.trader || 'all',
-      incompleteOnly: Boolean(filters.incompleteOnly)
+  // Turns a share hash back into storage entries wrapped like an export.
+  const decode = (hash) => {
+    const payload = JSON.parse(new TextDecoder().decode(fromBase64Url(hash.slice(HASH_PREFIX.length))));
+    if (Number(payload.v) > StorageManager.getSchemaVersion()) {
+      throw new Error('Share link was created by a newer version');
+    }
+    // Early links packed positions, which no longer line up with the data.
+    if (!Array.isArray(payload.s)) {
+      throw new Error('Share link uses an outdated format');
+    }
+    const data = {
+      'skills:selected': Object.fromEntries(unpackFlags(skillIds, payload.s).map((id) => [id, true]))
     };
-
-    const traderExists = Array.from(traderFilter.options).some(
-      (option) => option.value === nextFilters.trader
-    );
-    if (!traderExists) {
-      nextFilters.trader = 'all';
+    const sections = ['skills'];
+    if (payload.b && typeof payload.b === 'object') {
+      sections.push('workshop');
+      unpackCounts(stationIds, payload.b).forEach(([id, built]) => {
+        data[MaterialPlanner.getBuiltKey(id)] = built;
+      });
+      unpackCounts(materialIds, payload.i ?? {}).forEach(([id, count]) => {
+        data[MaterialPlanner.getInventoryKey(id)] = count;
+      });
+    }
+    if (Array.isArray(payload.q)) {
+      sections.push('quests');
+      unpackFlags(objectiveIds, payload.q).forEach((id) => {
+        data[getObjectiveKey(id)] = true;
+      });
+      unpackCounts(countedObjectiveIds, payload.c ?? {}).forEach(([id, count]) => {
+        data[getCountKey(id)] = Math.min(count, QuestPlanner.getTarget(objectives.get(id).objective));
+      });
     }
+    return DataTransfer.wrap(data, { sections, profileName: String(payload.n ?? 'Shared profile') });
+  };
 
-    activeFilters = nextFilters;
+  const openShareDialog = () => {
+    const content = Utils.createElement('div', { className: 'share-dialog' });
+    const options = Utils.createElement('fieldset', { className: 'import-preview__sections' });
+    options.appendChild(Utils.createElement('legend', { text: 'Skill build is always included. Also share:' }));
+    OPTIONS.forEach((option) => {
+      const label = Utils.createElement('label', { className: 'toggle' });
+      const input = Utils.createElement('input', { attrs: { type: 'checkbox', value: option.id } });
+      label.append(input, Utils.createElement('span', { text: option.label }));
+      options.appendChild(label);
+    });
+    const link = Utils.createElement('input', {
+      className: 'share-dialog__link',
+      attrs: { type: 'text', readonly: 'readonly', 'aria-label': 'Share link' }
+    });
+    const update = () => {
+      link.value = encode(Array.from(options.querySelectorAll('input:checked'), (input) => input.value));
+    };
+    options.addEventListener('change', update);
+    update();
+    content.append(options, link);
+
+    Modal.open({
+      title: 'Share progress',
+      icon: 'fa-share-nodes',
+      content,
+      actions: [
+        { label: 'Close' },
+        {
+          label: 'Copy link',
+          primary: true,
+          onClick: () => {
+            link.select();
+            if (navigator.clipboard) {
+              navigator.clipboard.writeText(link.value).then(
+                () => Notifier.push('Share link copied to the clipboard.'),
+                () => Notifier.push('Copy failed. Select the link and copy it manually.')
+              );
+            } else {
+              document.execCommand('copy');
+              Notifier.push('Share link copied to the clipboard.');
+            }
+            return false;
+          }
+        }
+      ]
+    });
+  };
 
-    const searchTerm = nextFilters.search.toLowerCase();
+  // Blocks progress edits while a shared link is on screen.
+  const guardEdits = (event) => {
+    if (!shared) return;
+    const target = event.target.closest(
+      'input[type="checkbox"][data-storage-key], [data-quest-step], input[data-skill-id], .skill-graph-node, .station-level-build, .station-level-undo, .quest-reset, .quest-reward-credit button'
+    );
+    if (!target) return;
+    event.preventDefault();
+    event.stopPropagation();
+    Notifier.push('This is a shared, read-only view. Copy it into your profile to edit.');
+  };
 
-    searchInput.value = nextFilters.search;
-    traderFilter.value = nextFilters.trader;
-    incompleteOnlyToggle.checked = nextFilters.incompleteOnly;
+  const guardKeys = (event) => {
+    if (shared && ['Enter', ' '].includes(event.key) && event.target.closest?.('.skill-graph-node')) guardEdits(event);
+  };
 
-    const cards = Array.from(container.children);
-    cards.forEach((card) => {
-      const title = card.querySelector('h3').textContent.toLowerCase();
-      const traderName = card.dataset.trader;
-      const progressBar = card.querySelector('.progress-bar span');
-      const progress = parseInt(progressBar.style.width, 10);
-      const matchesSearch = !searchTerm || title.includes(searchTerm);
-      const matchesTrader = activeFilters.trader === 'all' || traderName === activeFilters.trader;
-      const matchesCompletion = !activeFilters.incompleteOnly || progress < 100;
-      card.style.display = matchesSearch && matchesTrader && matchesCompletion ? 'flex' : 'none';
-    });
-  };
-
-  const handleObjectiveChange = (checkbox) => {
-    const key = checkbox.dataset.storageKey;
-    const value = checkbox.checked;
-    StorageManager.set(key, value, { debounce: 0 });
-    const card = checkbox.closest('.quest-card');
-    const questId = card.dataset.questId;
-    const quest = DataRepository.quests.find((item) => item.id === questId);
-    if (!quest) return;
-    const progress = computeQuestProgress(quest);
-    updateQuestCompletionState(card, progress);
-    applyFilters(activeFilters);
+  const guardInputs = (event) => {
+    if (shared && event.target.matches('input[data-inventory-item], input[data-storage-key]')) {
+      event.target.readOnly = true;
+    }
   };
 
-  const bindInteractions = () => {
-    container.querySelectorAll('input[data-storage-key]').forEach((checkbox) => {
-      checkbox.addEventListener('change', () => handleObjectiveChange(checkbox));
+  const renderBanner = () => {
+    banner.hidden = !shared;
+    document.body.classList.toggle('is-shared-view', Boolean(shared));
+    lockedControls.forEach((control) => {
+      control.disabled = Boolean(shared);
     });
-
-    const persistFilters = () => {
-      const state = {
-        search: searchInput.value,
-        trader: traderFilter.value,
-        incompleteOnly: incompleteOnlyToggle.checked
-      };
-      applyFilters(state);
-      StorageManager.set(FILTER_KEY, state, { debounce: 0 });
-    };
-
-    searchInput.addEventListener('input', persistFilters);
-    traderFilter.addEventListener('change', persistFilters);
-    incompleteOnlyToggle.addEventListener('change', persistFilters);
+    if (!shared) return;
+    const sections = shared.sections.map((id) => ProgressSchema.SECTIONS[id] ?? id).join(', ');
+    banner.querySelector('[data-shared-summary]').textContent =
+      `Viewing ${shared.profile.name}'s shared ${sections.toLowerCase()} (read-only).`;
   };
 
-  const populateTraderFilter = () => {
-    while (traderFilter.options.length > 1) {
-      traderFilter.remove(1);
+  const enter = () => {
+    if (!location.hash.startsWith(HASH_PREFIX)) return false;
+    let envelope;
+    try {
+      envelope = decode(location.hash);
+    } catch (error) {
+      console.error('Share link could not be read', error);
+      Notifier.push('This share link is invalid or from a different version of the tracker.');
+      return false;
     }
-    const traders = new Set(DataRepository.quests.map((quest) => quest.trader));
-    traders.forEach((trader) => {
-      const option = Utils.createElement('option', { text: trader, attrs: { value: trader } });
-      traderFilter.appendChild(option);
+    const theme = StorageManager.get('theme');
+    StorageManager.clearNamespace(SHARED_NAMESPACE);
+    StorageManager.useNamespace(SHARED_NAMESPACE);
+    StorageManager.hydrate({
+      ...envelope.data,
+      [StorageManager.SCHEMA_KEY]: StorageManager.getSchemaVersion(),
+      ...(theme ? { theme } : {})
     });
+    shared = envelope;
+    renderBanner();
+    return true;
+  };
+
+  const leave = () => {
+    if (!shared) return;
+    shared = null;
+    StorageManager.clearNamespace(SHARED_NAMESPACE);
+    ProfileManager.useActiveNamespace();
+    renderBanner();
   };
 
+  const clearHash = () => history.replaceState(null, '', `${location.pathname}${location.search}`);
+
   const init = () => {
-    container.innerHTML = '';
-    DataRepository.quests.forEach((quest) => {
-      const card = renderQuestCard(quest);
-      container.appendChild(card);
-      const body = card.querySelector('.card-body');
-      body.style.maxHeight = `${body.scrollHeight + 16}px`;
+    shareButton.addEventListener('click', openShareDialog);
+    document.addEventListener('click', guardEdits, true);
+    document.addEventListener('keydown', guardKeys, true);
+    document.addEventListener('focusin', guardInputs, true);
+    banner.querySelector('[data-shared-action="exit"]').addEventListener('click', () => {
+      leave();
+      clearHash();
+      App.reload();
     });
-    populateTraderFilter();
-    bindInteractions();
-    activeFilters = StorageManager.get(FILTER_KEY, activeFilters);
-    applyFilters(activeFilters);
+    banner.querySelector('[data-shared-action="copy"]').addEventListener('click', () => {
+      const envelope = shared;
+      leave();
+      clearHash();
+      App.reload();
+      DataTransfer.review(envelope);
+    });
+    // Pasting another link into the same tab only changes the hash.
+    window.addEventListener('hashchange', () => {
+      if (!location.hash.startsWith(HASH_PREFIX)) return;
+      leave();
+      enter();
+      App.reload();
+    });
+    enter();
   };
 
   return { init };
 })();
 
-// SkillView presents the community-sourced skill planner with branching layout and point tracking.
-const SkillView = (() => {
-  const container = document.getElementById('skill-phases');
-  const totalDisplay = document.getElementById('skill-points-total');
-  const MAX_POINTS = 75;
-  const STORAGE_KEY = 'skills:selected';
-  const TOOLTIP_DELAY = 150;
-  const activeTooltips = new Map();
-  let overPointCap = false;
+// SquadSources lists everything the squad tools can read: local profiles plus
+// exported files loaded for this session (kept in memory, never stored).
+const SquadSources = (() => {
+  const fileInput = document.getElementById('compare-files');
+  const files = new Map();
+  const listeners = new Set();
+  let fileCount = 0;
+  let bound = false;
+
+  const list = () => [
+    ...ProfileManager.list().map((profile) => ({
+      id: `profile:${profile.id}`,
+      name: profile.name,
+      label: `Profile · ${profile.name}`
+    })),
+    ...Array.from(files.values(), (file) => ({ id: file.id, name: file.name, label: `File · ${file.name}` }))
+  ];
+
+  const getActiveId = () => `profile:${ProfileManager.getActive().id}`;
+
+  // Profiles are read fresh each time so edits show up immediately.
+  const load = (id) => {
+    if (files.has(id)) return files.get(id);
+    const profileId = id.replace(/^profile:/, '');
+    const profile = ProfileManager.list().find((entry) => entry.id === profileId);
+    if (!profile) return null;
+    return { id, name: profile.name, data: DataTransfer.normalize(ProfileManager.readSnapshot(profile.id)).data };
+  };
 
-  const getSelected = () => StorageManager.get(STORAGE_KEY, {});
+  const onChange = (handler) => {
+    listeners.add(handler);
+    return () => listeners.delete(handler);
+  };
 
-  const setSelected = (value) => StorageManager.set(STORAGE_KEY, value);
+  const readFile = (file) =>
+    new Promise((resolve, reject) => {
+      const reader = new FileReader();
+      reader.onload = () => resolve(reader.result);
+      reader.onerror = () => reject(reader.error);
+      reader.readAsText(file);
+    });
 
-  const renderNode = (node, branch) => {
-    const selected = getSelected();
-    const isChecked = Boolean(selected[node.id]);
-    const item = Utils.createElement('div', {
-      className: `skill-node${isChecked ? ' completed' : ''}`,
-      attrs: {
-        'data-skill-id': node.id,
-        'data-branch-id': branch.id,
-        'data-skill-cost': node.cost
+  const addFiles = async (fileList) => {
+    const added = [];
+    for (const file of fileList) {
+      try {
+        const normalized = DataTransfer.normalize(JSON.parse(await readFile(file)));
+        fileCount += 1;
+        const id = `file:${fileCount}`;
+        const name = normalized.envelope?.profile?.name ?? file.name.replace(/\.json$/i, '');
+        files.set(id, { id, name, data: normalized.data });
+        added.push(id);
+      } catch (error) {
+        console.error('Squad file could not be read', error);
+        Notifier.push(`${file.name}: ${error instanceof SyntaxError ? 'not valid JSON.' : error.message}`);
       }
-    });
+    }
+    return added;
+  };
 
-    item.innerHTML = `
-      <div class="skill-node-header">
-        <span class="skill-order">${node.order}</span>
-        <div class="skill-node-title">
-          <h4>${node.name}</h4>
-          <p>${node.focus}</p>
-        </div>
-        <div class="skill-node-actions">
-          <button class="icon-button info" type="button" aria-label="Skill info" data-skill-id="${node.id}">
-            <i class="fa-solid fa-circle-info"></i>
-          </button>
-          <label>
-            <span class="sr-only">Mark ${node.name} acquired</span>
-            <input type="checkbox" ${isChecked ? 'checked' : ''} data-skill-id="${node.id}" data-branch-id="${branch.id}" />
-          </label>
-        </div>
-      </div>
-    `;
+  const init = () => {
+    if (bound) return;
+    bound = true;
+    fileInput.addEventListener('change', async (event) => {
+      const added = await addFiles(Array.from(event.target.files));
+      fileInput.value = '';
+      if (!added.length) return;
+      listeners.forEach((handler) => handler(added));
+      Notifier.push(`Loaded ${added.length} file${added.length === 1 ? '' : 's'} for the squad tools.`);
+    });
+    ProfileManager.onChange(() => listeners.forEach((handler) => handler([])));
+  };
 
-    item.dataset.skillDescription = node.description;
-    item.dataset.skillFocus = node.focus;
-    item.dataset.skillCommunity = node.community;
-    item.dataset.skillOrder = node.order;
-    item.dataset.skillCost = node.cost;
+  return { list, load, getActiveId, onChange, init };
+})();
 
-    return item;
+// CompareView lines up two profiles or exported files: workshop levels,
+// inventory deltas, quest completion and skill picks.
+const CompareView = (() => {
+  const selectA = document.getElementById('compare-source-a');
+  const selectB = document.getElementById('compare-source-b');
+  const results = document.getElementById('compare-results');
+  const navButton = document.querySelector('.nav-link[data-target="squad"]');
+  let bound = false;
+
+  const populate = () => {
+    const sources = SquadSources.list();
+    [selectA, selectB].forEach((select, index) => {
+      const previous = select.value;
+      select.innerHTML = '';
+      sources.forEach((source) => {
+        select.appendChild(Utils.createElement('option', { text: source.label, attrs: { value: source.id } }));
+      });
+      const activeId = SquadSources.getActiveId();
+      const fallback = index === 0 ? activeId : sources.find((source) => source.id !== activeId)?.id ?? activeId;
+      select.value = sources.some((source) => source.id === previous) ? previous : fallback;
+    });
   };
 
-  const renderBranch = (branch) => {
-    const section = Utils.createElement('section', {
-      className: 'skill-branch',
-      attrs: { 'data-branch-id': branch.id }
-    });
-    section.style.setProperty('--branch-color', branch.color ?? 'var(--color-accent)');
-    const nodesContainer = Utils.createElement('div', { className: 'skill-branch-track' });
+  const getBuilt = (data, station) => Number(data[MaterialPlanner.getBuiltKey(station.id)] ?? 0) || 0;
 
-    const sourceMarkup = branch.source
-      ? `<span class="skill-branch-source"><i class="fa-solid fa-users"></i> ${branch.source}</span>`
-      : '';
+  const getCount = (data, materialId) => Number(data[MaterialPlanner.getInventoryKey(materialId)] ?? 0) || 0;
 
-    const progressMeta = `
-      <div class="skill-branch-meta">
-        <span class="skill-branch-progress" data-branch-progress>${branch.nodes.length} steps</span>
-        ${sourceMarkup}
-      </div>
-    `;
+  const getSkills = (data) => new Set(Object.keys(data['skills:selected'] ?? {}));
 
-    section.innerHTML = `
-      <header class="skill-branch-header">
-        <div class="skill-branch-title">
-          <h3><i class="fa-solid ${branch.icon}"></i> ${branch.name}</h3>
-          <p>${branch.summary}</p>
-        </div>
-        ${progressMeta}
-      </header>
-    `;
+  // Objective progress per quest id, counting partial progress on counted
+  // objectives the same way the quest log does.
+  const countProgress = (data) =>
+    StorageManager.withSnapshot(
+      data,
+      () =>
+        new Map(
+          DataRepository.quests.map((quest) => [
+            quest.id,
+            Utils.sum(quest.objectives.map((objective) => QuestPlanner.getObjectiveCount(quest, objective)))
+          ])
+        )
+    );
 
-    branch.nodes.forEach((node) => nodesContainer.appendChild(renderNode(node, branch)));
-    section.appendChild(nodesContainer);
-    return section;
+  const describeLevel = (station, built) =>
+    built ? station.levels.find((level) => Number(level.level) === built)?.label ?? `Level ${built}` : 'Not built';
+
+  const renderTable = (headings, rows, emptyText) => {
+    if (!rows.length) return Utils.createElement('p', { className: 'compare-empty', text: emptyText });
+    const table = Utils.createElement('table', { className: 'compare-table' });
+    const head = document.createElement('thead');
+    const headRow = document.createElement('tr');
+    headings.forEach((heading) => headRow.appendChild(Utils.createElement('th', { text: heading })));
+    head.appendChild(headRow);
+    const body = document.createElement('tbody');
+    rows.forEach(({ cells, className }) => {
+      const row = document.createElement('tr');
+      if (className) row.className = className;
+      cells.forEach((cell) => row.appendChild(Utils.createElement('td', { text: String(cell) })));
+      body.appendChild(row);
+    });
+    table.append(head, body);
+    return table;
   };
 
-  const calculatePoints = () => {
-    const selected = getSelected();
-    const total = DataRepository.skillBranches
-      .flatMap((branch) => branch.nodes)
-      .filter((node) => selected[node.id])
-      .reduce((sum, node) => sum + Number(node.cost || 0), 0);
-    totalDisplay.textContent = total;
-    const isOverCap = total > MAX_POINTS;
-    totalDisplay.classList.toggle('warning', isOverCap);
-    if (isOverCap && !overPointCap) {
-      Notifier.push(`Skill point cap exceeded by ${total - MAX_POINTS}!`);
-    }
-    overPointCap = isOverCap;
+  const renderPanel = (icon, title, body) => {
+    const panel = Utils.createElement('article', { className: 'compare-panel' });
+    panel.appendChild(Utils.createElement('h3', { html: `<i class="fa-solid ${icon}"></i> ${title}` }));
+    panel.appendChild(body);
+    return panel;
   };
 
-  const updateBranchProgress = (branchId) => {
-    const branch = container.querySelector(`.skill-branch[data-branch-id="${branchId}"]`);
-    if (!branch) return;
-    const nodes = Array.from(branch.querySelectorAll('.skill-node'));
-    const completed = nodes.filter((node) => node.classList.contains('completed')).length;
-    const total = nodes.length;
-    const progress = branch.querySelector('[data-branch-progress]');
-    if (progress) {
-      progress.textContent = `${completed}/${total} steps`;
-    }
-    branch.classList.toggle('complete', completed === total && total > 0);
+  const renderWorkshop = (a, b) => {
+    const rows = DataRepository.workshopStations.map((station) => {
+      const builtA = getBuilt(a.data, station);
+      const builtB = getBuilt(b.data, station);
+      return {
+        cells: [station.name, describeLevel(station, builtA), describeLevel(station, builtB)],
+        className: builtA === builtB ? '' : builtA > builtB ? 'compare-ahead-a' : 'compare-ahead-b'
+      };
+    });
+    return renderPanel('fa-screwdriver-wrench', 'Workshop levels', renderTable(['Station', a.name, b.name], rows, ''));
   };
 
-  const updateAllBranches = () => {
-    DataRepository.skillBranches.forEach((branch) => updateBranchProgress(branch.id));
+  const renderMaterials = (a, b) => {
+    const rows = Object.values(DataRepository.materialIds)
+      .map((materialId) => ({ materialId, countA: getCount(a.data, materialId), countB: getCount(b.data, materialId) }))
+      .filter(({ countA, countB }) => countA || countB)
+      .sort((x, y) => Math.abs(y.countB - y.countA) - Math.abs(x.countB - x.countA))
+      .map(({ materialId, countA, countB }) => {
+        const delta = countB - countA;
+        return {
+          cells: [MaterialPlanner.getMaterialName(materialId), countA, countB, delta > 0 ? `+${delta}` : delta],
+          className: delta === 0 ? '' : delta < 0 ? 'compare-ahead-a' : 'compare-ahead-b'
+        };
+      });
+    return renderPanel(
+      'fa-boxes-stacked',
+      'Materials',
+      renderTable(['Material', a.name, b.name, 'Difference'], rows, 'Neither source has recorded any inventory.')
+    );
   };
 
-  const toggleSkill = (checkbox) => {
-    const selected = getSelected();
-    const skillId = checkbox.dataset.skillId;
-    if (checkbox.checked) {
-      selected[skillId] = true;
-    } else {
-      delete selected[skillId];
-    }
-    setSelected(selected);
-    const node = checkbox.closest('.skill-node');
-    node.classList.toggle('completed', checkbox.checked);
-    updateBranchProgress(checkbox.dataset.branchId);
-    calculatePoints();
+  const renderQuests = (a, b) => {
+    const progressA = countProgress(a.data);
+    const progressB = countProgress(b.data);
+    const rows = DataRepository.quests
+      .map((quest) => ({ quest, doneA: progressA.get(quest.id), doneB: progressB.get(quest.id) }))
+      .filter(({ doneA, doneB }) => doneA !== doneB)
+      .map(({ quest, doneA, doneB }) => {
+        const total = Utils.sum(quest.objectives.map(QuestPlanner.getTarget));
+        return {
+          cells: [quest.name, `${doneA}/${total}`, `${doneB}/${total}`],
+          className: doneA > doneB ? 'compare-ahead-a' : 'compare-ahead-b'
+        };
+      });
+    return renderPanel(
+      'fa-bullseye',
+      'Quest differences',
+      renderTable(['Quest', a.name, b.name], rows, 'Both sources have the same quest progress.')
+    );
   };
 
-  const hideTooltip = (id) => {
-    const tooltip = activeTooltips.get(id);
-    if (tooltip) {
-      tooltip.remove();
-      activeTooltips.delete(id);
-    }
+  const renderSkills = (a, b) => {
+    const skillsA = getSkills(a.data);
+    const skillsB = getSkills(b.data);
+    const rows = DataRepository.skillBranches.flatMap((branch) =>
+      branch.nodes
+        .filter((node) => skillsA.has(node.id) !== skillsB.has(node.id))
+        .map((node) => ({
+          cells: [
+            `${branch.name} · ${node.name}`,
+            skillsA.has(node.id) ? '✓' : '—',
+            skillsB.has(node.id) ? '✓' : '—'
+          ],
+          className: skillsA.has(node.id) ? 'compare-ahead-a' : 'compare-ahead-b'
+        }))
+    );
+    const points = (picked) =>
+      Utils.sum(
+        DataRepository.skillBranches
+          .flatMap((branch) => branch.nodes)
+          .filter((node) => picked.has(node.id))
+          .map((node) => Number(node.cost || 0))
+      );
+    const body = Utils.createElement('div');
+    body.appendChild(
+      Utils.createElement('p', {
+        className: 'compare-summary',
+        text: `${a.name}: ${points(skillsA)} points · ${b.name}: ${points(skillsB)} points · ${
+          Array.from(skillsA).filter((id) => skillsB.has(id)).length
+        } skills in common`
+      })
+    );
+    body.appendChild(renderTable(['Skill', a.name, b.name], rows, 'Both builds pick the same skills.'));
+    return renderPanel('fa-diagram-project', 'Skill differences', body);
   };
 
-  const showTooltip = (button) => {
-    const node = button.closest('.skill-node');
-    const id = node.dataset.skillId;
-    if (activeTooltips.has(id)) {
-      hideTooltip(id);
+  const render = () => {
+    results.innerHTML = '';
+    let a;
+    let b;
+    try {
+      a = SquadSources.load(selectA.value);
+      b = SquadSources.load(selectB.value);
+    } catch (error) {
+      console.error('Compare source could not be read', error);
+      results.appendChild(Utils.createElement('p', { className: 'compare-empty', text: error.message }));
+      return;
+    }
+    if (!a || !b) {
+      results.appendChild(Utils.createElement('p', { className: 'compare-empty', text: 'Pick two sources to compare.' }));
       return;
     }
+    if (a.id === b.id) {
+      results.appendChild(
+        Utils.createElement('p', { className: 'compare-empty', text: 'Both sides show the same source. Pick a different one.' })
+      );
+    }
+    results.append(renderWorkshop(a, b), renderMaterials(a, b), renderQuests(a, b), renderSkills(a, b));
+  };
 
-    const tooltip = Utils.createElement('div', { className: 'skill-tooltip' });
-    const description = node.dataset.skillDescription;
-    const focus = node.dataset.skillFocus;
-    const community = node.dataset.skillCommunity;
-    const order = node.dataset.skillOrder;
-    const cost = node.dataset.skillCost;
+  const init = () => {
+    populate();
+    render();
+    if (bound) return;
+    bound = true;
+    [selectA, selectB].forEach((select) => select.addEventListener('change', render));
+    navButton.addEventListener('click', render);
+    SquadSources.onChange((added) => {
+      populate();
+      // A single new file is compared against the active profile.
+      if (added.length === 1) {
+        selectB.value = added[0];
+      } else if (added.length > 1) {
+        [selectA.value, selectB.value] = added.slice(-2);
+      }
+      render();
+    });
+  };
 
-    tooltip.innerHTML = `
-      <h5>${node.querySelector('h4').textContent}</h5>
-      <p>${description}</p>
-      <dl class="skill-tooltip-details">
-        <dt>Focus</dt>
-        <dd>${focus}</dd>
-        <dt>Community insight</dt>
-        <dd>${community}</dd>
-        <dt>Recommended tier</dt>
-        <dd>${order}</dd>
-        <dt>Point cost</dt>
-        <dd>${cost}</dd>
-      </dl>
-    `;
+  return { init };
+})();
 
-    node.appendChild(tooltip);
-    activeTooltips.set(id, tooltip);
-    document.addEventListener(
-      'click',
-      (event) => {
-        if (!node.contains(event.target)) {
-          hideTooltip(id);
-        }
-      },
-      { once: true }
-    );
+// SquadView pools the outstanding needs of several teammates into one list
+// that shows who still needs each material or objective.
+const SquadView = (() => {
+  const membersFieldset = document.getElementById('squad-members');
+  const questToggle = document.getElementById('squad-include-quests');
+  const summary = document.getElementById('squad-summary');
+  const container = document.getElementById('squad-needs');
+  const objectivesPanel = document.getElementById('squad-objectives');
+  const navButton = document.querySelector('.nav-link[data-target="squad"]');
+  const selected = new Set();
+  let bound = false;
+
+  const renderMembers = () => {
+    const sources = SquadSources.list();
+    Array.from(selected).forEach((id) => {
+      if (!sources.some((source) => source.id === id)) selected.delete(id);
+    });
+    if (!selected.size) selected.add(SquadSources.getActiveId());
+    membersFieldset.querySelectorAll('label').forEach((label) => label.remove());
+    sources.forEach((source) => {
+      const label = Utils.createElement('label', { className: 'toggle' });
+      const input = Utils.createElement('input', { attrs: { type: 'checkbox', value: source.id } });
+      input.checked = selected.has(source.id);
+      label.append(input, Utils.createElement('span', { text: source.label }));
+      membersFieldset.appendChild(label);
+    });
   };
 
-  const bindInteractions = () => {
-    container.querySelectorAll('input[data-skill-id]').forEach((checkbox) => {
-      checkbox.addEventListener('change', () => toggleSkill(checkbox));
-    });
+  // Runs the regular planner against each teammate's data in turn.
+  const collectMemberNeeds = (member) =>
+    StorageManager.withSnapshot(member.data, () =>
+      MaterialPlanner.collectNeeds({ includeQuests: questToggle.checked })
+    );
 
-    container.querySelectorAll('button.info').forEach((button) => {
-      let timer;
-      button.addEventListener('click', () => showTooltip(button));
-      button.addEventListener('focus', () => {
-        timer = setTimeout(() => showTooltip(button), TOOLTIP_DELAY);
-      });
-      button.addEventListener('blur', () => {
-        clearTimeout(timer);
-        const node = button.closest('.skill-node');
-        hideTooltip(node.dataset.skillId);
+  const poolNeeds = (members) => {
+    const byItem = new Map();
+    members.forEach((member) => {
+      collectMemberNeeds(member).forEach((need) => {
+        const entry = byItem.get(need.item) ?? { item: need.item, remaining: 0, members: [] };
+        entry.remaining += need.remaining;
+        entry.members.push({ name: member.name, remaining: need.remaining, sources: need.sources });
+        byItem.set(need.item, entry);
       });
     });
+    return Array.from(byItem.values()).sort((a, b) => b.remaining - a.remaining || a.item.localeCompare(b.item));
   };
 
-  const init = () => {
-    activeTooltips.forEach((tooltip) => tooltip.remove());
-    activeTooltips.clear();
-    overPointCap = false;
-    container.innerHTML = '';
+  // Each objective's count for one teammate, keyed by quest and objective id.
+  const collectMemberCounts = (member) =>
+    StorageManager.withSnapshot(
+      member.data,
+      () =>
+        new Map(
+          DataRepository.quests.flatMap((quest) =>
+            quest.objectives.map((objective) => [
+              `${quest.id}:${objective.id}`,
+              QuestPlanner.getObjectiveCount(quest, objective)
+            ])
+          )
+        )
+    );
 
-    const tree = Utils.createElement('div', { className: 'skill-tree' });
-    DataRepository.skillBranches.forEach((branch) => tree.appendChild(renderBranch(branch)));
-    container.appendChild(tree);
+  // Objectives that are not material deliveries, with who has not finished
+  // them and how far along counted objectives each of them is.
+  const poolObjectives = (members) => {
+    const progress = members.map((member) => ({ name: member.name, counts: collectMemberCounts(member) }));
+    return DataRepository.quests
+      .map((quest) => ({
+        quest,
+        objectives: quest.objectives
+          .filter((objective) => !MaterialPlanner.parseMaterialObjective(objective))
+          .map((objective) => {
+            const target = QuestPlanner.getTarget(objective);
+            return {
+              objective,
+              members: progress
+                .map(({ name, counts }) => ({ name, count: counts.get(`${quest.id}:${objective.id}`) }))
+                .filter(({ count }) => count < target)
+                .map(({ name, count }) => (count ? `${name} (${count}/${target})` : name))
+            };
+          })
+          .filter((entry) => entry.members.length)
+      }))
+      .filter((entry) => entry.objectives.length);
+  };
 
-    bindInteractions();
-    calculatePoints();
-    updateAllBranches();
+  const renderNeedRow = (entry) => {
+    const row = Utils.createElement('li', { className: 'shopping-item', attrs: { 'data-material': entry.item } });
+    const info = Utils.createElement('div', {
+      className: 'shopping-item-info',
+      html: `<span class="resource-name">${entry.item}</span>`
+    });
+    const list = Utils.createElement('ul', { className: 'shopping-sources' });
+    entry.members.forEach((member) => {
+      // Member names come from profiles and received squad files, so they
+      // only ever go in as text.
+      const item = Utils.createElement('li', {
+        className: 'shopping-source squad-member-need',
+        attrs: { title: member.sources.map((source) => `${source.label}: ${source.remaining}`).join('\n') }
+      });
+      item.append(
+        Utils.createElement('i', { className: 'fa-solid fa-user' }),
+        ' ',
+        Utils.createElement('span', { text: member.name }),
+        ' ',
+        Utils.createElement('strong', { text: String(member.remaining) })
+      );
+      list.appendChild(item);
+    });
+    info.appendChild(list);
+    row.append(
+      ShoppingListView.renderThumb(entry.item),
+      info,
+      Utils.createElement('span', { className: 'shopping-item-total', text: `×${entry.remaining}` })
+    );
+    return row;
   };
 
-  return { init, calculatePoints };
-})();
-// DataTransfer enables exporting/importing the saved progress to JSON files.
-const DataTransfer = (() => {
-  const exportButton = document.getElementById('export-data');
-  const importInput = document.getElementById('import-data');
+  const renderObjectives = (pooled) => {
+    const list = objectivesPanel.querySelector('.squad-objective-list');
+    list.innerHTML = '';
+    const total = Utils.sum(pooled.map((entry) => entry.objectives.length));
+    objectivesPanel.hidden = !questToggle.checked || !total;
+    objectivesPanel.querySelector('summary').textContent = `Open quest objectives (${total})`;
+    pooled.forEach(({ quest, objectives }) => {
+      const group = Utils.createElement('section', {
+        className: 'shopping-group',
+        html: `<h3><i class="fa-solid ${quest.icon ?? 'fa-bullseye'}"></i> ${quest.name} (${quest.trader})</h3>`
+      });
+      const items = Utils.createElement('ul', { className: 'squad-objective-items' });
+      objectives.forEach(({ objective, members }) => {
+        const item = Utils.createElement('li');
+        const names = Utils.createElement('small');
+        names.append(Utils.createElement('i', { className: 'fa-solid fa-user' }), ` ${members.join(', ')}`);
+        item.append(Utils.createElement('span', { text: objective.text }), ' ', names);
+        items.appendChild(item);
+      });
+      group.appendChild(items);
+      list.appendChild(group);
+    });
+  };
 
-  const download = (filename, content) => {
-    const blob = new Blob([content], { type: 'application/json' });
-    const url = URL.createObjectURL(blob);
-    const link = document.createElement('a');
-    link.href = url;
-    link.download = filename;
-    document.body.appendChild(link);
-    link.click();
-    document.body.removeChild(link);
-    URL.revokeObjectURL(url);
+  const render = () => {
+    container.innerHTML = '';
+    let members;
+    try {
+      members = Array.from(selected, (id) => SquadSources.load(id)).filter(Boolean);
+    } catch (error) {
+      console.error('Squad source could not be read', error);
+      summary.textContent = error.message;
+      return;
+    }
+    if (!members.length) {
+      summary.textContent = 'Select at least one teammate.';
+      objectivesPanel.hidden = true;
+      return;
+    }
+    const needs = poolNeeds(members);
+    const totalRemaining = Utils.sum(needs.map((entry) => entry.remaining));
+    summary.textContent = needs.length
+      ? `${members.length} teammate${members.length === 1 ? '' : 's'} · ${needs.length} materials · ${totalRemaining} items still to loot`
+      : 'The squad has every tracked requirement covered.';
+    if (needs.length) {
+      const list = Utils.createElement('ul', { className: 'shopping-items' });
+      needs.forEach((entry) => list.appendChild(renderNeedRow(entry)));
+      container.appendChild(list);
+    }
+    renderObjectives(questToggle.checked ? poolObjectives(members) : []);
   };
 
   const init = () => {
-    exportButton.addEventListener('click', () => {
-      const data = StorageManager.snapshot();
-      download(`arc-raiders-progress-${new Date().toISOString()}.json`, JSON.stringify(data, null, 2));
-      Notifier.push('Progress exported to JSON.');
+    renderMembers();
+    render();
+    if (bound) return;
+    bound = true;
+    membersFieldset.addEventListener('change', (event) => {
+      if (event.target.checked) {
+        selected.add(event.target.value);
+      } else {
+        selected.delete(event.target.value);
+      }
+      render();
     });
-
-    importInput.addEventListener('change', (event) => {
-      const [file] = event.target.files;
-      if (!file) return;
-      const reader = new FileReader();
-      reader.onload = () => {
-        try {
-          const data = JSON.parse(reader.result);
-          StorageManager.hydrate(data);
-          WorkshopView.init();
-          QuestView.init();
-          SkillView.init();
-          Notifier.push('Progress imported successfully.');
-        } catch (error) {
-          console.error('Import failed', error);
-          Notifier.push('Failed to import data. Ensure the file is valid JSON.');
-        }
-      };
-      reader.readAsText(file);
-      importInput.value = '';
+    questToggle.addEventListener('change', render);
+    navButton.addEventListener('click', render);
+    SquadSources.onChange((added) => {
+      added.forEach((id) => selected.add(id));
+      renderMembers();
+      render();
     });
   };
 
@@ -2721,15 +7571,32 @@ const DataTransfer = (() => {
 
 // Bootstraps the application once the DOM is ready.
 const App = (() => {
-  const init = () => {
+  // Re-renders every view from storage, e.g. after an import or profile switch.
+  const reload = () => {
+    StorageManager.migrate();
     ThemeController.init();
-    NavigationController.init();
     WorkshopView.init();
+    ShoppingListView.init();
     QuestView.init();
+    RaidPlannerView.init();
     SkillView.init();
+    SkillBuildView.init();
+    CompareView.init();
+    SquadView.init();
+  };
+
+  const init = () => {
+    NavigationController.init();
+    Modal.init();
+    MaterialDetailView.init();
+    ProfileView.init();
+    ShareView.init();
+    SquadSources.init();
+    reload();
     DataTransfer.init();
+    ProfileManager.onChange(reload);
   };
-  return { init };
+  return { init, reload };
 })();
 
 if (document.readyState !== 'loading') {